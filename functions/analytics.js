@@ -0,0 +1,341 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Emits structured events about conversations, like the facts told and
+ * where users quit, to a pluggable sink, and aggregates them into a funnel.
+ * Every sink has the same async interface taking an event. Analytics never
+ * fail a conversation, errors of sinks are only logged.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const {promisify} = require('util');
+const {log} = require('./logger');
+
+const appendFile = promisify(fs.appendFile);
+
+/** Prefix of analytics URIs that point to a file of JSON lines */
+const FILE_PREFIX = 'file://';
+
+/** Prefix of analytics URIs that point to a BigQuery table */
+const BIGQUERY_PREFIX = 'bigquery://';
+
+/** The most events inserted in BigQuery at once */
+const BIGQUERY_BATCH_SIZE = 50;
+
+/** The events emitted */
+const Events = {
+  CONVERSATION_START: 'conversation_start',
+  CATEGORY_CHOSEN: 'category_chosen',
+  FACT_DELIVERED: 'fact_delivered',
+  CATEGORY_EXHAUSTED: 'category_exhausted',
+  REDIRECT_OFFERED: 'redirect_offered',
+  TOPIC_ACCEPTED: 'topic_accepted',
+  CONVERSATION_CLOSED: 'conversation_closed',
+};
+
+/** Why conversations close, the reason of conversation_closed events */
+const CloseReasons = {
+  QUIT: 'quit',
+  HEARD_IT_ALL: 'heard_it_all',
+  FALLBACK: 'fallback',
+  NO_INPUT: 'no_input',
+};
+
+/** The steps of the funnel, each reached by fewer conversations */
+const FUNNEL = [
+  Events.CONVERSATION_START,
+  Events.CATEGORY_CHOSEN,
+  Events.FACT_DELIVERED,
+  Events.CATEGORY_EXHAUSTED,
+];
+
+/**
+ * @typedef Event
+ * @property {string} event The name of the event, one of Events.
+ * @property {string} timestamp When it happened, as an ISO 8601 string.
+ * @property {string} conversationId The conversation it happened in.
+ * @property {string} intent The intent matched.
+ * @property {string} locale The locale of the user.
+ * @property {string=} category The category it is about, if any.
+ * @property {string=} factId The fact delivered, for fact_delivered.
+ * @property {Array<string>=} offered The categories offered instead, for
+ *     redirect_offered.
+ * @property {string=} reason Why the conversation closed, one of
+ *     CloseReasons, for conversation_closed.
+ */
+
+/**
+ * @typedef Sink
+ * @property {function(Event): Promise<void>} emit Sends an event.
+ * @property {function(): Promise<void>} flush Sends the events held back to
+ *     batch them, if any.
+ */
+
+/**
+ * Builds an event about a conversation. It doesn't hold anything the user
+ * said or anything identifying them beyond the conversation.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} name The name of the event, one of Events.
+ * @param {Object=} fields What the event is about, like its category.
+ * @param {Date=} now When it happened, defaults to now.
+ * @return {Event} The event.
+ */
+const event = (conv, name, fields = {}, now = new Date()) =>
+  Object.assign({
+    event: name,
+    timestamp: now.toISOString(),
+    conversationId: conv.id,
+    intent: conv.intent,
+    locale: conv.user.locale,
+  }, fields);
+
+/**
+ * Creates a sink that drops every event, used when analytics are off.
+ * @return {Sink} The sink.
+ */
+const none = () => ({
+  emit: async () => {},
+  flush: async () => {},
+});
+
+/**
+ * Creates a sink that logs every event as a line of JSON, which Cloud
+ * Functions sends to Stackdriver Logging.
+ * @param {function(string): void=} log Logs a line, defaults to console.log.
+ * @return {Sink} The sink.
+ */
+const stdout = (log = console.log) => ({
+  emit: async (event) => log(JSON.stringify(event)),
+  flush: async () => {},
+});
+
+/**
+ * Creates a sink that appends every event to a file, one line of JSON each.
+ * @param {string} path The path of the file.
+ * @return {Sink} The sink.
+ */
+const file = (path) => ({
+  emit: (event) => appendFile(path, `${JSON.stringify(event)}\n`),
+  flush: async () => {},
+});
+
+/**
+ * Creates a sink that keeps events in memory, for tests.
+ * @return {Sink} The sink, with the events emitted in events.
+ */
+const memory = () => {
+  const events = [];
+  return {
+    events,
+    emit: async (event) => {
+      events.push(event);
+    },
+    flush: async () => {},
+  };
+};
+
+/**
+ * Creates a sink that inserts events in a BigQuery table in batches, as rows
+ * of the tabledata.insertAll method. Rows have the fields of events, offered
+ * being a repeated field. A batch is inserted once it is full or on flush.
+ * @param {string} dataset The id of the BigQuery dataset.
+ * @param {string} table The id of the table.
+ * @param {Object=} options
+ * @param {number=} options.batchSize The most events in a batch.
+ * @param {function(Array<Object>): Promise<void>=} options.insert Inserts a
+ *     batch of rows, defaults to inserting them with @google-cloud/bigquery.
+ * @return {Sink} The sink.
+ */
+const bigquery = (dataset, table, options = {}) => {
+  const {batchSize = BIGQUERY_BATCH_SIZE} = options;
+  const insert = options.insert || ((rows) => {
+    // Only needed by this sink, so it is only required when used
+    const {BigQuery} = require('@google-cloud/bigquery');
+    return new BigQuery().dataset(dataset).table(table)
+      .insert(rows, {raw: true});
+  });
+  let rows = [];
+  const flush = async () => {
+    const batch = rows;
+    rows = [];
+    if (batch.length) {
+      await insert(batch);
+    }
+  };
+  return {
+    emit: async (event) => {
+      // insertId lets BigQuery drop rows inserted twice on retries
+      rows.push({insertId: crypto.randomBytes(8).toString('hex'), json: event});
+      if (rows.length >= batchSize) {
+        await flush();
+      }
+    },
+    flush,
+  };
+};
+
+/**
+ * Private utility function to keep the errors of a sink from failing
+ * conversations, logging them instead.
+ * @param {Sink} sink The sink.
+ * @return {Sink} The sink, whose methods never reject.
+ */
+const safe_ = (sink) => {
+  const logged = (method) => (...args) => method(...args).catch((e) => {
+    log.error('Analytics sink failed', {error: e});
+  });
+  return Object.assign({}, sink, {
+    emit: logged(sink.emit),
+    flush: logged(sink.flush),
+  });
+};
+
+/**
+ * Resolves an analytics URI to a sink. stdout logs events, URIs starting
+ * with file:// name a file to append them to, bigquery://dataset.table a
+ * BigQuery table to insert them in and memory keeps them in memory. Several
+ * URIs can be separated with commas. Anything else, including no URI, turns
+ * analytics off.
+ * @param {string=} uri The analytics URI.
+ * @return {Sink} The sink, whose methods never reject.
+ */
+const sink = (uri = '') => {
+  const sinks = uri.split(',').map((part) => part.trim()).filter((part) => part)
+    .map((part) => {
+      if (part.startsWith(FILE_PREFIX)) {
+        return file(part.slice(FILE_PREFIX.length));
+      }
+      if (part.startsWith(BIGQUERY_PREFIX)) {
+        const [dataset, table] = part.slice(BIGQUERY_PREFIX.length).split('.');
+        return bigquery(dataset, table);
+      }
+      const named = {stdout, memory}[part];
+      return named ? named() : none();
+    })
+    .map(safe_);
+  if (sinks.length < 2) {
+    return sinks[0] || none();
+  }
+  return {
+    emit: async (event) => {
+      await Promise.all(sinks.map((s) => s.emit(event)));
+    },
+    flush: async () => {
+      await Promise.all(sinks.map((s) => s.flush()));
+    },
+  };
+};
+
+/**
+ * Parses events from lines of JSON, like the ones of the stdout and file
+ * sinks. Lines that aren't events, like other logs, are left out.
+ * @param {string} text The lines.
+ * @return {Array<Event>} The events.
+ */
+const parse = (text) => text.split('\n').map((line) => {
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    return undefined;
+  }
+}).filter((e) => e && typeof e === 'object' && e.event && e.conversationId);
+
+/**
+ * Private utility function to count values.
+ * @param {Array<string>} values The values.
+ * @return {Object<string, number>} How many times each value occurs.
+ */
+const count_ = (values) => values.reduce((counts, value) => {
+  counts[value] = (counts[value] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * @typedef Funnel
+ * @property {number} conversations How many conversations there are.
+ * @property {Array<{event: string, conversations: number, share: number}>}
+ *     steps How many conversations reached every step of the funnel, and
+ *     their share of the conversations that started.
+ * @property {Object<string, number>} chosen How often every category was
+ *     chosen.
+ * @property {Object<string, number>} delivered How many facts of every
+ *     category were delivered.
+ * @property {Object<string, number>} exhausted How often every category
+ *     ran out of facts.
+ * @property {number} redirects How many redirects were offered.
+ * @property {number} topicsAccepted How many cross-promoted topics were
+ *     chosen.
+ * @property {Object<string, number>} closed How many conversations closed
+ *     for every reason, or none if the user left without it closing.
+ * @property {Object<string, number>} factsBeforeClose How many conversations
+ *     ended after every number of facts delivered.
+ */
+
+/**
+ * Aggregates events into a funnel: how far conversations went, which
+ * categories users chose and where they left.
+ * @param {Array<Event>} events The events, in any order.
+ * @return {Funnel} The funnel.
+ */
+const funnel = (events) => {
+  const conversations = {};
+  for (const e of events) {
+    (conversations[e.conversationId] =
+      conversations[e.conversationId] || []).push(e);
+  }
+  const ids = Object.keys(conversations);
+  const of = (name) => events.filter((e) => e.event === name);
+  const started = ids.filter((id) => conversations[id]
+    .some((e) => e.event === Events.CONVERSATION_START)).length;
+  return {
+    conversations: ids.length,
+    steps: FUNNEL.map((name) => {
+      const reached = ids.filter((id) => conversations[id]
+        .some((e) => e.event === name)).length;
+      return {
+        event: name,
+        conversations: reached,
+        share: started ? reached / started : 0,
+      };
+    }),
+    chosen: count_(of(Events.CATEGORY_CHOSEN).map((e) => e.category)),
+    delivered: count_(of(Events.FACT_DELIVERED).map((e) => e.category)),
+    exhausted: count_(of(Events.CATEGORY_EXHAUSTED).map((e) => e.category)),
+    redirects: of(Events.REDIRECT_OFFERED).length,
+    topicsAccepted: of(Events.TOPIC_ACCEPTED).length,
+    closed: count_(ids.map((id) => {
+      const closed = conversations[id]
+        .find((e) => e.event === Events.CONVERSATION_CLOSED);
+      return closed ? closed.reason : 'none';
+    })),
+    factsBeforeClose: count_(ids.map((id) => String(conversations[id]
+      .filter((e) => e.event === Events.FACT_DELIVERED).length))),
+  };
+};
+
+module.exports = {
+  CloseReasons,
+  Events,
+  bigquery,
+  event,
+  file,
+  funnel,
+  memory,
+  none,
+  parse,
+  sink,
+  stdout,
+};
@@ -0,0 +1,265 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * The fact catalog holds every category of facts the action can tell.
+ * Categories are loaded from a pluggable source (see ./sources.js) and
+ * validated against the schema in ./schema.js before they are used.
+ */
+const crypto = require('crypto');
+const schema = require('./schema');
+const sources = require('./sources');
+const {merge} = require('../util');
+
+/** Prefix of catalog URIs that point to a Firestore collection */
+const FIRESTORE_PREFIX = 'firestore://';
+
+/**
+ * The keys of a category holding what users say to name it, which only
+ * matches in its own language, so they don't fall back to the base catalog
+ */
+const SPOKEN_KEYS = ['synonyms', 'phrases'];
+
+/**
+ * Identifies a fact the way histories recorded before facts had stable ids
+ * did, by hashing its category and text. Only used to migrate them.
+ * @param {string} category The name of the category of the fact.
+ * @param {string} fact The text of the fact.
+ * @return {string} The legacy id of the fact.
+ */
+const legacyFactId = (category, fact) => crypto.createHash('sha1')
+  .update(`${category}\n${fact}`)
+  .digest('hex')
+  .slice(0, 10);
+
+/**
+ * A validated set of fact categories.
+ */
+class Catalog {
+  /**
+   * @param {Array<Object>} categories The validated categories.
+   */
+  constructor(categories) {
+    this.categories = categories;
+    /** Every fact by id */
+    this.factsById = {};
+    /** The category of every fact by id */
+    this.categoriesById = {};
+    /** The ids of the facts by the text or legacy id they had before */
+    this.legacyIds = {};
+    for (const c of categories) {
+      for (const fact of c.facts) {
+        this.factsById[fact.id] = fact;
+        this.categoriesById[fact.id] = c;
+        this.legacyIds[fact.text] = fact.id;
+        this.legacyIds[legacyFactId(c.category, fact.text)] = fact.id;
+      }
+    }
+  }
+
+  /**
+   * Finds a category by name.
+   * @param {string} category The name of the category.
+   * @return {Object|undefined} The category, if there is one with that name.
+   */
+  find(category) {
+    return this.categories.find((c) => c.category === category);
+  }
+
+  /**
+   * Gets the main categories, the ones that aren't bonus topics.
+   * @return {Array<Object>} The main categories.
+   */
+  mainCategories() {
+    return this.categories.filter((c) => !c.topic);
+  }
+
+  /**
+   * Gets the bonus topics, the categories that declare a topic block.
+   * @return {Array<Object>} The bonus topics.
+   */
+  topics() {
+    return this.categories.filter((c) => c.topic);
+  }
+
+  /**
+   * Finds the bonus topic served by a Dialogflow intent.
+   * @param {string} intent The name of the intent.
+   * @return {Object|undefined} The topic, if one declares the intent.
+   */
+  findByIntent(intent) {
+    return this.topics().find((c) => c.topic.intents.includes(intent));
+  }
+
+  /**
+   * Finds a fact by id.
+   * @param {string} id The id of the fact.
+   * @return {{id: string, text: string}|undefined} The fact, if there is one
+   *     with that id.
+   */
+  fact(id) {
+    return this.factsById[id];
+  }
+
+  /**
+   * Finds the category of a fact.
+   * @param {string} id The id of the fact.
+   * @return {Object|undefined} The category, if there is a fact with that id.
+   */
+  categoryOf(id) {
+    return this.categoriesById[id];
+  }
+
+  /**
+   * Resolves what conversation state or a history holds for a fact to its
+   * id. Besides ids, older conversations hold the full text of the fact and
+   * older histories its legacy id.
+   * @param {string} entry The id, text or legacy id of the fact.
+   * @return {string|undefined} The id, if the fact is still in the catalog.
+   */
+  resolveId(entry) {
+    return this.factsById[entry] ? entry : this.legacyIds[entry];
+  }
+
+  /**
+   * Builds the initial map of category name to the ids of the facts not yet
+   * told, used to seed conv.data.facts.
+   * @param {Array<string>=} heard The ids of the facts to leave out.
+   * @return {Object<string, Array<string>>} The ids of every fact.
+   */
+  facts(heard = []) {
+    return this.categories.reduce((o, c) => {
+      o[c.category] = c.facts
+        .map((fact) => fact.id)
+        .filter((id) => !heard.includes(id));
+      return o;
+    }, {});
+  }
+}
+
+/**
+ * Validates raw catalog entries, collecting every problem found.
+ * @param {Array<{source: string, data: Object}>} entries The raw entries.
+ * @return {Array<string>} The validation errors, empty if all are valid.
+ */
+const validate = (entries) => {
+  if (!entries.length) {
+    return ['catalog should have at least one category'];
+  }
+  const errors = [];
+  const seen = {};
+  const seenFacts = {};
+  for (const {source, data} of entries) {
+    const schemaErrors = schema.validate(data, schema.category, source);
+    errors.push(...schemaErrors);
+    if (data && seen[data.category]) {
+      errors.push(`${source} duplicates category "${data.category}" ` +
+        `of ${seen[data.category]}`);
+    } else if (data) {
+      seen[data.category] = source;
+    }
+    if (schemaErrors.length) {
+      continue;
+    }
+    for (const {id} of data.facts) {
+      if (seenFacts[id]) {
+        errors.push(`${source} duplicates fact id "${id}" of ${seenFacts[id]}`);
+      } else {
+        seenFacts[id] = source;
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * Validates raw catalog entries and builds a catalog from them.
+ * @param {Array<{source: string, data: Object}>} entries The raw entries.
+ * @return {Catalog} The validated catalog.
+ */
+const build = (entries) => {
+  const errors = validate(entries);
+  if (errors.length) {
+    throw new Error(`Invalid fact catalog:\n  ${errors.join('\n  ')}`);
+  }
+  return new Catalog(entries.map((entry) => entry.data));
+};
+
+/**
+ * Loads and validates a catalog from a source.
+ * @param {Source} source The source.
+ * @return {Promise<Catalog>} The validated catalog.
+ */
+const load = async (source) => build(await source.load());
+
+/**
+ * Loads and validates the catalog of every language. A category of another
+ * language only has to hold what is translated, everything else but what
+ * users say to name it falls back to the same category of the base catalog.
+ * Languages without a catalog of their own use the base catalog.
+ * @param {Source} source The source of the base catalog.
+ * @param {string} base The language of the base catalog.
+ * @param {Array<string>} languages The other languages to load.
+ * @return {Promise<Object<string, Catalog>>} The catalogs by language.
+ */
+const loadLocales = async (source, base, languages) => {
+  const baseEntries = await source.load();
+  const catalogs = {[base]: build(baseEntries)};
+  for (const language of languages.filter((l) => l !== base)) {
+    const entries = await source.locale(language).load();
+    if (!entries.length) {
+      catalogs[language] = catalogs[base];
+      continue;
+    }
+    catalogs[language] = build(entries.map(({source, data}) => {
+      const fallback = baseEntries.find(
+        (e) => data && e.data.category === data.category);
+      if (!fallback) {
+        return {source, data};
+      }
+      const translated = Object.assign({}, fallback.data);
+      SPOKEN_KEYS.forEach((key) => delete translated[key]);
+      return {source, data: merge(translated, data)};
+    }));
+    // Facts are told and remembered by id, whatever the language
+    const unknown = Object.keys(catalogs[language].factsById)
+      .filter((id) => !catalogs[base].fact(id));
+    if (unknown.length) {
+      throw new Error(`Invalid fact catalog:\n  ${language} has facts ` +
+        `${unknown.join(', ')} missing from ${base}`);
+    }
+  }
+  return catalogs;
+};
+
+/**
+ * Resolves a catalog URI to a source. URIs starting with firestore:// name a
+ * Firestore collection, anything else is a path to a local directory.
+ * @param {string} uri The catalog URI.
+ * @return {Source} The source.
+ */
+const source = (uri) => uri.startsWith(FIRESTORE_PREFIX) ?
+  sources.firestore(uri.slice(FIRESTORE_PREFIX.length)) :
+  sources.directory(uri);
+
+module.exports = {
+  Catalog,
+  legacyFactId,
+  load,
+  loadLocales,
+  source,
+  sources,
+  validate,
+};
@@ -0,0 +1,180 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Schema of a fact. Its id must never change, since conversations and the
+ * histories of users refer to the fact by id.
+ */
+const fact = {
+  type: 'object',
+  properties: {
+    id: {type: 'string', required: true, pattern: /^[a-z0-9-]+$/},
+    text: {type: 'string', required: true},
+    // Used by the weighted selection strategy
+    weight: {type: 'number', minimum: 0},
+    featured: {type: 'boolean'},
+    // How the quiz asks the fact, see ../quiz.js. Facts without it are
+    // asked with their first number blanked out, if they have one.
+    quiz: {
+      type: 'object',
+      properties: {
+        question: {type: 'string', required: true},
+        answers: {
+          type: 'array',
+          required: true,
+          minItems: 1,
+          items: {type: 'string'},
+        },
+        hint: {type: 'string'},
+      },
+    },
+  },
+};
+
+/** Schema of a card image */
+const image = {
+  type: 'object',
+  properties: {
+    url: {type: 'string', required: true},
+    accessibilityText: {type: 'string', required: true},
+  },
+};
+
+/**
+ * Schema of the topic block that turns a category into a bonus topic, served
+ * by its own intents and followup context instead of the category parameter,
+ * and cross-promoted when the other categories run out of facts.
+ */
+const topic = {
+  type: 'object',
+  properties: {
+    intents: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {type: 'string'},
+    },
+    context: {type: 'string', required: true},
+    alsoAvailable: {type: 'string', required: true},
+    heardItAll: {type: 'string', required: true},
+  },
+};
+
+/**
+ * Schema every fact category in the catalog must conform to.
+ * Each field describes its type, whether it is required and, for arrays and
+ * objects, the schema of its items or properties.
+ */
+const category = {
+  type: 'object',
+  properties: {
+    category: {type: 'string', required: true, pattern: /^[a-z0-9_-]+$/},
+    // Name the category is spoken as, defaults to its category
+    name: {type: 'string'},
+    suggestion: {type: 'string', required: true},
+    factPrefix: {type: 'string', required: true},
+    // What users call the category and how they ask for it, with the words
+    // naming it in braces. The agent is generated from them, see
+    // ../scripts/build-agent.js
+    synonyms: {type: 'array', minItems: 1, items: {type: 'string'}},
+    phrases: {
+      type: 'array',
+      minItems: 1,
+      items: {type: 'string', pattern: /\{[^{}]+\}/},
+    },
+    facts: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: fact,
+    },
+    images: {type: 'array', minItems: 1, items: image},
+    sounds: {type: 'array', minItems: 1, items: {type: 'string'}},
+    link: {type: 'string'},
+    topic,
+    // How the next fact is selected, see ../selection.js
+    selection: {
+      type: 'string',
+      enum: ['uniform', 'weighted', 'sequential', 'seeded'],
+    },
+    // Seed of the seeded selection strategy
+    seed: {type: 'number'},
+  },
+};
+
+/**
+ * Gets the schema type name of a value.
+ * @param {*} value The value to get the type of.
+ * @return {string} The type name.
+ */
+const typeOf = (value) => {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value;
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value The value to validate.
+ * @param {Object} schema The schema to validate against.
+ * @param {string} path The path of the value used in error messages.
+ * @return {Array<string>} The validation errors, empty if the value is valid.
+ */
+const validate = (value, schema, path) => {
+  const type = typeOf(value);
+  if (type !== schema.type) {
+    return [`${path} should be ${schema.type} but got ${type}`];
+  }
+  const errors = [];
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${path} should match ${schema.pattern}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${path} should be at least ${schema.minimum}`);
+  }
+  if (type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    value.forEach((item, i) => {
+      errors.push(...validate(item, schema.items, `${path}[${i}]`));
+    });
+  }
+  if (type === 'object') {
+    for (const key of Object.keys(schema.properties)) {
+      const property = schema.properties[key];
+      if (typeof value[key] === 'undefined') {
+        if (property.required) {
+          errors.push(`${path}.${key} is required`);
+        }
+        continue;
+      }
+      errors.push(...validate(value[key], property, `${path}.${key}`));
+    }
+  }
+  return errors;
+};
+
+module.exports = {
+  category,
+  validate,
+};
@@ -0,0 +1,101 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Backends the fact catalog can be loaded from. A source has a load() method
+ * that resolves to a list of entries, each holding the raw category data and
+ * a description of where it came from for error messages, and a locale()
+ * method that returns the source of the same catalog in another language.
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/** Parsers for the file extensions supported by the directory source */
+const Parsers = {
+  '.json': (text) => JSON.parse(text),
+  '.yaml': (text) => yaml.safeLoad(text),
+  '.yml': (text) => yaml.safeLoad(text),
+};
+
+/**
+ * @typedef Entry
+ * @property {string} source Where the category was loaded from.
+ * @property {Object} data The raw category data.
+ */
+
+/**
+ * @typedef Source
+ * @property {function(): Promise<Array<Entry>>} load Loads the entries.
+ * @property {function(string): Source} locale Gets the source of a language.
+ */
+
+/**
+ * Creates a source that reads one category per JSON or YAML file in a local
+ * directory. Files are read in name order so the catalog order is stable.
+ * Other languages live in subdirectories named after the language, like fr.
+ * Works fully offline.
+ * @param {string} dir The directory to read category files from.
+ * @return {Source} The source.
+ */
+const directory = (dir) => ({
+  load: async () => !fs.existsSync(dir) ? [] : fs.readdirSync(dir)
+    .filter((file) => Parsers[path.extname(file)])
+    .sort()
+    .map((file) => {
+      const source = path.join(dir, file);
+      const text = fs.readFileSync(source, 'utf8');
+      try {
+        return {source, data: Parsers[path.extname(file)](text)};
+      } catch (e) {
+        throw new Error(`Unable to parse ${source}: ${e.message}`);
+      }
+    }),
+  locale: (language) => directory(path.join(dir, language)),
+});
+
+/**
+ * Creates a source that reads one category per document in a Firestore
+ * collection. Documents are read in document id order. Other languages live
+ * in collections suffixed with the language, like facts_fr.
+ * @param {string} collection The name of the Firestore collection.
+ * @param {Object=} db The Firestore instance to use, defaults to the one of
+ *     the default firebase-admin app.
+ * @return {Source} The source.
+ */
+const firestore = (collection, db) => ({
+  load: async () => {
+    if (!db) {
+      const admin = require('firebase-admin');
+      if (!admin.apps.length) {
+        admin.initializeApp();
+      }
+      db = admin.firestore();
+    }
+    const snapshot = await db.collection(collection).get();
+    return snapshot.docs
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .map((doc) => ({
+        source: `${collection}/${doc.id}`,
+        data: doc.data(),
+      }));
+  },
+  locale: (language) => firestore(`${collection}_${language}`, db),
+});
+
+module.exports = {
+  directory,
+  firestore,
+};
@@ -0,0 +1,117 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Picks the fact of the day. Every day in the user's time zone has its own
+ * order of the facts of the main categories, the same for every user, and
+ * the fact of the day is the first one the user hasn't heard. Bonus topics
+ * like cats aren't Google facts, so they are left out.
+ */
+const crypto = require('crypto');
+
+/** The time zone of users whose device doesn't tell theirs */
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+/**
+ * Gets the current time, replaced in tests.
+ * @return {Date} The current time.
+ */
+let now = () => new Date();
+
+/**
+ * Sets the clock telling what day it is, like in tests.
+ * @param {function(): Date=} clock Returns the current time, or nothing to
+ *     go back to the system clock.
+ * @return {void}
+ */
+const clock = (clock) => {
+  now = clock || (() => new Date());
+};
+
+/**
+ * Gets the time zone of the user's device.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {string} The IANA time zone, like America/New_York, or the default
+ *     one if the device doesn't tell.
+ */
+const timeZoneOf = (conv) => {
+  const {payload = {}} = conv.body.originalDetectIntentRequest || {};
+  const {device = {}} = payload;
+  return device.timeZone && device.timeZone.id || DEFAULT_TIME_ZONE;
+};
+
+/**
+ * Gets the current day in a time zone.
+ * @param {string} timeZone The IANA time zone, unknown ones fall back to the
+ *     default one.
+ * @param {Date=} date The time, defaults to the current one.
+ * @return {string} The day, like 2019-04-13.
+ */
+const today = (timeZone, date = now()) => {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+  } catch (e) {
+    // RangeError for time zones the runtime doesn't know
+    return today(DEFAULT_TIME_ZONE, date);
+  }
+  const parts = {};
+  for (const {type, value} of format.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Orders the facts of a day, the same way for everyone.
+ * @param {Array<string>} ids The ids of the facts.
+ * @param {string} day The day, like 2019-04-13.
+ * @return {Array<string>} The ids, in the order of the day.
+ */
+const order = (ids, day) => {
+  const rank = (id) => crypto.createHash('sha1')
+    .update(`${day}\n${id}`)
+    .digest('hex');
+  return ids.map((id) => ({id, rank: rank(id)}))
+    .sort((a, b) => a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0)
+    .map(({id}) => id);
+};
+
+/**
+ * Picks the fact of the day for a user.
+ * @param {Catalog} catalog The fact catalog.
+ * @param {string} day The day, like 2019-04-13.
+ * @param {Array<string>} left The ids of the facts the user hasn't heard.
+ * @return {string|undefined} The id of the first fact of the day the user
+ *     hasn't heard, if they haven't heard every one.
+ */
+const pick = (catalog, day, left) => {
+  const ids = [].concat(...catalog.mainCategories()
+    .map((c) => c.facts.map((fact) => fact.id)));
+  return order(ids, day).find((id) => left.includes(id));
+};
+
+module.exports = {
+  clock,
+  order,
+  pick,
+  timeZoneOf,
+  today,
+};
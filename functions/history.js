@@ -0,0 +1,144 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Stores the ids of the facts every user already heard, so returning users
+ * don't hear the same facts again. Every store has the same async interface
+ * taking the conversation of the user.
+ */
+const crypto = require('crypto');
+
+/** Prefix of history URIs that point to a Firestore collection */
+const FIRESTORE_PREFIX = 'firestore://';
+
+/**
+ * The most fact ids kept in user storage, which is limited in size.
+ * The oldest ones are forgotten first.
+ */
+const MAX_USER_STORAGE_FACTS = 200;
+
+/**
+ * @typedef HistoryStore
+ * @property {function(DialogflowConversation): Promise<Array<string>>} load
+ *     Gets the ids of the facts the user heard.
+ * @property {function(DialogflowConversation, string): Promise<void>} record
+ *     Adds the id of a fact the user heard.
+ * @property {function(DialogflowConversation): Promise<void>} clear
+ *     Forgets every fact the user heard.
+ */
+
+/**
+ * Gets the id the history of the user is kept under, creating it in user
+ * storage the first time.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {string} The id of the user's history.
+ */
+const historyId = (conv) => {
+  const {storage} = conv.user;
+  if (!storage.historyId) {
+    storage.historyId = crypto.randomBytes(16).toString('hex');
+  }
+  return storage.historyId;
+};
+
+/**
+ * Creates a store that keeps the history in user storage. Suited to small
+ * histories since user storage is sent along with every request.
+ * @return {HistoryStore} The store.
+ */
+const userStorage = () => ({
+  load: async (conv) => conv.user.storage.heard || [],
+  record: async (conv, id) => {
+    const heard = (conv.user.storage.heard || []).concat(id);
+    conv.user.storage.heard = heard.slice(-MAX_USER_STORAGE_FACTS);
+  },
+  clear: async (conv) => {
+    delete conv.user.storage.heard;
+  },
+});
+
+/**
+ * Creates a store that keeps the history in memory, for tests.
+ * @return {HistoryStore} The store.
+ */
+const memory = () => {
+  const histories = new Map();
+  return {
+    load: async (conv) => (histories.get(historyId(conv)) || []).slice(),
+    record: async (conv, id) => {
+      const key = historyId(conv);
+      histories.set(key, (histories.get(key) || []).concat(id));
+    },
+    clear: async (conv) => {
+      histories.delete(historyId(conv));
+    },
+  };
+};
+
+/**
+ * Creates a store that keeps the history of every user in a document of a
+ * Firestore collection, for histories too large for user storage.
+ * @param {string} collection The name of the Firestore collection.
+ * @param {Object=} db The Firestore instance to use, defaults to the one of
+ *     the default firebase-admin app.
+ * @return {HistoryStore} The store.
+ */
+const firestore = (collection, db) => {
+  const admin = require('firebase-admin');
+  const doc = (conv) => {
+    if (!db) {
+      if (!admin.apps.length) {
+        admin.initializeApp();
+      }
+      db = admin.firestore();
+    }
+    return db.collection(collection).doc(historyId(conv));
+  };
+  return {
+    load: async (conv) => {
+      const snapshot = await doc(conv).get();
+      return snapshot.exists ? snapshot.data().heard : [];
+    },
+    record: async (conv, id) => {
+      await doc(conv).set({
+        heard: admin.firestore.FieldValue.arrayUnion(id),
+      }, {merge: true});
+    },
+    clear: async (conv) => {
+      await doc(conv).delete();
+    },
+  };
+};
+
+/**
+ * Resolves a history URI to a store. URIs starting with firestore:// name a
+ * Firestore collection and memory keeps histories in memory. Anything else,
+ * including no URI, keeps them in user storage.
+ * @param {string=} uri The history URI.
+ * @return {HistoryStore} The store.
+ */
+const store = (uri = '') => {
+  if (uri.startsWith(FIRESTORE_PREFIX)) {
+    return firestore(uri.slice(FIRESTORE_PREFIX.length));
+  }
+  return uri === 'memory' ? memory() : userStorage();
+};
+
+module.exports = {
+  firestore,
+  memory,
+  store,
+  userStorage,
+};
@@ -0,0 +1,124 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Selects the response bundle for the user's locale. Every bundle falls back
+ * to the English one string by string.
+ */
+const {vsprintf} = require('sprintf-js');
+const {isPlainObject, merge} = require('./util');
+
+/** The language every other language falls back to */
+const DEFAULT_LANGUAGE = 'en';
+
+/** Response bundles by language */
+const bundles = {
+  en: require('./responses'),
+  fr: require('./locales/fr'),
+  de: require('./locales/de'),
+  ja: require('./locales/ja'),
+};
+
+/** Every supported language */
+const Languages = Object.keys(bundles);
+
+/** Response bundles by language, merged with the default language */
+const merged = Languages.reduce((o, language) => {
+  o[language] = merge(bundles[DEFAULT_LANGUAGE], bundles[language]);
+  return o;
+}, {});
+
+/**
+ * Gets the supported language of a locale.
+ * @param {string=} locale The locale, like en-US.
+ * @return {string} The language, or the default language if the locale is
+ *     missing or its language is not supported.
+ */
+const language = (locale) => {
+  const lang = (locale || '').split('-')[0].toLowerCase();
+  return bundles[lang] ? lang : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Gets the responses for a locale.
+ * @param {string=} locale The locale, like fr-FR.
+ * @return {Object} The responses, falling back to the default language for
+ *     every string the locale's bundle is missing.
+ */
+const responses = (locale) => merged[language(locale)];
+
+/**
+ * Formats a response template. Unlike util.format, templates can refer to
+ * arguments by position, like %2$s, so translations can reorder them.
+ * @param {string} template The template.
+ * @param {...*} args The arguments to substitute.
+ * @return {string} The formatted string.
+ */
+const format = (template, ...args) => vsprintf(template, args);
+
+/**
+ * Joins words into a list the way the language of a bundle does, like
+ * "history, headquarters or cats".
+ * @param {Object} bundle The responses of the language.
+ * @param {Array<string>} words The words to list.
+ * @return {string} The list.
+ */
+const list = (bundle, words) => {
+  const {separator, lastSeparator} = bundle.general.list;
+  return words.length < 2 ? words.join('') :
+    words.slice(0, -1).join(separator) + lastSeparator + words.slice(-1);
+};
+
+/**
+ * Formats the template of a response that matches a count, like "one fact
+ * left" or "2 facts left".
+ * @param {Object<string, string>} templates The templates by exact count,
+ *     with other for any count that doesn't have one.
+ * @param {number} count The count, substituted for the first argument.
+ * @param {...*} args The other arguments to substitute.
+ * @return {string} The formatted string.
+ */
+const plural = (templates, count, ...args) =>
+  format(templates[count] || templates.other, count, ...args);
+
+/**
+ * Lists the keys of a base bundle a bundle doesn't have.
+ * @param {Object} bundle The bundle to check.
+ * @param {Object=} base The bundle to compare to, defaults to English.
+ * @param {string=} prefix The path of the bundles, used for nested keys.
+ * @return {Array<string>} The dotted paths of the missing keys.
+ */
+const missingKeys = (bundle, base = bundles[DEFAULT_LANGUAGE], prefix = '') =>
+  Object.keys(base).reduce((missing, key) => {
+    const path = prefix + key;
+    if (typeof bundle[key] === 'undefined') {
+      missing.push(path);
+    } else if (isPlainObject(base[key])) {
+      missing.push(...missingKeys(bundle[key], base[key], `${path}.`));
+    }
+    return missing;
+  }, []);
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  Languages,
+  bundles,
+  format,
+  language,
+  list,
+  missingKeys,
+  plural,
+  responses,
+};
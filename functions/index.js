@@ -13,45 +13,278 @@
 
 'use strict';
 
-const util = require('util');
+const path = require('path');
 const functions = require('firebase-functions');
 const {
   dialogflow,
+  RegisterUpdate,
   Suggestions,
-  BasicCard,
-  Button,
-  SimpleResponse,
 } = require('actions-on-google');
 
-const {values, concat, random, randomPop} = require('./util');
-const responses = require('./responses');
+const {concat} = require('./util');
+const i18n = require('./i18n');
+const catalog = require('./catalog');
+const history = require('./history');
+const selection = require('./selection');
+const render = require('./render');
+const analytics = require('./analytics');
+const logger = require('./logger');
+const daily = require('./daily');
+const quizzes = require('./quiz');
+const validation = require('./validation');
 
-/** Dialogflow Contexts {@link https://dialogflow.com/docs/contexts} */
+/**
+ * The fact catalog of every language, loaded and validated once per function
+ * instance. Set FACTS_CATALOG to a directory of category files or to
+ * firestore://<collection> to load it from somewhere else.
+ */
+const loadedCatalogs = catalog.loadLocales(catalog.source(
+  process.env.FACTS_CATALOG || path.join(__dirname, 'facts')),
+  i18n.DEFAULT_LANGUAGE, i18n.Languages);
+
+// A catalog that fails to load is logged right away instead of being left
+// unhandled until the first request, and every request then gets an apology
+loadedCatalogs.catch((e) => {
+  logger.log.error('Fact catalog failed to load', {error: e});
+});
+
+// Set FACTS_SEED to select the same facts in the same order every time
+if (process.env.FACTS_SEED) {
+  selection.seed(Number(process.env.FACTS_SEED));
+}
+
+/**
+ * Where the facts every user already heard are kept. Defaults to user
+ * storage, set HISTORY_STORE to firestore://<collection> for larger histories.
+ */
+const historyStore = history.store(process.env.HISTORY_STORE);
+
+/**
+ * Where analytics events are sent. Off by default, set ANALYTICS to stdout,
+ * file://<path> or bigquery://<dataset>.<table> to send them there.
+ */
+const analyticsSink = analytics.sink(process.env.ANALYTICS);
+
+/**
+ * Dialogflow Contexts {@link https://dialogflow.com/docs/contexts}
+ * Bonus topics declare their own followup context in the fact catalog.
+ */
 const AppContexts = {
   FACT: 'choose_fact-followup',
-  CATS: 'choose_cats-followup',
+  QUIZ: 'start_quiz-followup',
+  EVERYTHING: 'tell_everything-followup',
+};
+
+/**
+ * Dialogflow Intents the code refers to besides handling them, like the ones
+ * keeping count of how often they matched in a row
+ */
+const AppIntents = {
+  NO_INPUT: 'actions_intent_NO_INPUT',
+  FALLBACK: 'In Dialog Fallback',
+  FACT_OF_THE_DAY: 'fact_of_the_day',
 };
 
+/** The most suggestion chips a response can have */
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * The most ids of told facts kept in conv.data, which is sent along with
+ * every request. The first fact told is always kept.
+ */
+const MAX_TOLD = 10;
+
+/**
+ * The facts said at a time when telling every fact of a category on surfaces
+ * that can play media, the sound played after them bringing the next ones.
+ * Other surfaces say them all at once.
+ */
+const PLAYED_PER_TURN = 3;
+
 /** Dialogflow Context Lifespans {@link https://dialogflow.com/docs/contexts#lifespan} */
 const Lifespans = {
   DEFAULT: 5,
 };
 
-const app = dialogflow({
-  debug: true,
+const app = dialogflow();
+
+/** How webhook requests authenticate, see ./validation.js */
+const webhookOptions = validation.options(process.env);
+
+// The headers requests authenticate with are secrets, never log them
+logger.redactKeys(Object.keys(webhookOptions.headers));
+
+// Turn away requests that don't authenticate, set with WEBHOOK_HEADERS,
+// WEBHOOK_BASIC_AUTH or WEBHOOK_JWT_AUDIENCE, or that aren't shaped like
+// webhook requests, and apologize for the ones that fail.
+const handler = validation.guard(app.handler, {
+  authenticate: validation.authenticator(webhookOptions),
+  apology: (locale) => i18n.responses(locale).general.apology,
 });
 
-app.middleware((conv) => {
+// Log every request and response tied to its conversation, redacted, when
+// LOG_LEVEL is debug, instead of the debug logging of the library, which
+// logs everything as is.
+// Analytics events are sent before responding, since Cloud Functions doesn't
+// guarantee work done after the response is sent. Its instances can also be
+// recycled without shutting down, so requests through the Firebase function,
+// which serves the app like an Express app, flush the batched events too.
+app.handler = async (body, headers, metadata = {}) => {
+  const log = logger.log.child({
+    conversationId: logger.conversationId(body),
+  });
+  log.debug('Request', {body, headers});
+  const emitted = [];
+  const response = await handler(body, headers,
+    Object.assign({}, metadata, {emitted}));
+  await Promise.all(emitted);
+  if (metadata.express) {
+    await analyticsSink.flush();
+  }
+  log.debug('Response', {response});
+  return response;
+};
+
+/**
+ * Emits an analytics event about the conversation. Sinks never fail, so
+ * handlers don't wait for them, the request does before responding.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} name The name of the event, one of analytics.Events
+ * @param {Object=} fields What the event is about
+ * @return {Promise<void>}
+ */
+const track = (conv, name, fields) => {
+  const emitted = analyticsSink.emit(analytics.event(conv, name, fields));
+  conv.emitted.push(emitted);
+  return emitted;
+};
+
+/**
+ * End the conversation, recording why.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} response What to say last
+ * @param {string} reason Why it ends, one of analytics.CloseReasons
+ * @return {void}
+ */
+const close = (conv, response, reason) => {
+  track(conv, analytics.Events.CONVERSATION_CLOSED, {reason});
+  conv.close(response);
+};
+
+/**
+ * Brings the facts left and told in conv.data up to date with the fact
+ * catalog. Conversations started by earlier versions hold the full text of
+ * the facts instead of their ids, with the cat facts apart in conv.data.cats.
+ * Facts that were since removed from the catalog are dropped, along with the
+ * last response and the quiz question if they were one of them.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {void}
+ */
+const migrateFacts = (conv) => {
+  const {facts, cats, told, position, lastResponse, quiz} = conv.data;
+  const known = (id) => conv.catalog.fact(id);
+  delete conv.data.cats;
+  if (told) {
+    conv.data.told = told.filter(known);
+  }
+  if (told && position !== undefined) {
+    // Go back from the same place among the facts that are left
+    conv.data.position = told.slice(0, position).filter(known).length;
+  }
+  if (lastResponse && lastResponse.fact && !known(lastResponse.fact)) {
+    delete conv.data.lastResponse;
+  }
+  if (quiz) {
+    for (const category of Object.keys(quiz.questions)) {
+      quiz.questions[category] = quiz.questions[category].filter(known);
+    }
+    if (quiz.current && !known(quiz.current.id)) {
+      delete quiz.current;
+    }
+  }
+  if (!facts) {
+    return;
+  }
+  if (cats) {
+    facts.cats = cats;
+  }
+  for (const category of Object.keys(facts)) {
+    facts[category] = facts[category]
+      .map((entry) => conv.catalog.resolveId(entry))
+      .filter((id) => id);
+  }
+};
+
+app.middleware(async (conv, metadata) => {
+  // The analytics events of the request, see app.handler
+  conv.emitted = metadata.emitted || [];
+  const {locale} = conv.user;
+  // The responses of the user's locale. Named bundle since conv.responses
+  // holds the responses the library is building.
+  conv.bundle = i18n.responses(locale);
+  conv.catalog = (await loadedCatalogs)[i18n.language(locale)];
+  migrateFacts(conv);
+  if (conv.intent !== AppIntents.NO_INPUT) {
+    // The user answered, so the next silence starts reprompting over
+    delete conv.data.noInputs;
+  }
+  if (conv.intent !== AppIntents.FALLBACK) {
+    // The user was understood, so the next fallback starts over
+    delete conv.data.fallbacks;
+  }
   if (!conv.data.facts) {
-    // Convert array of facts to map
-    conv.data.facts = responses.categories.reduce((o, c) => {
-      o[c.category] = c.facts.slice();
-      return o;
-    }, {});
+    // Leave out the facts the user heard in earlier conversations
+    const heard = await historyStore.load(conv);
+    conv.data.facts =
+      conv.catalog.facts(heard.map((entry) => conv.catalog.resolveId(entry)));
   }
-  if (!conv.data.cats) {
-    conv.data.cats = responses.cats.facts.slice(); // copy cat facts
+  // Convert array of facts to map, keeping the facts left of any category
+  // the conversation already started and seeding the ones it hasn't seen
+  conv.data.facts = Object.assign(conv.catalog.facts(), conv.data.facts);
+  if (conv.type === 'NEW') {
+    track(conv, analytics.Events.CONVERSATION_START);
+  }
+});
+
+/**
+ * Gets the suggestion chips of categories, as many as a response can have.
+ * @param {Array<Object>} categories The categories from the fact catalog
+ * @return {Suggestions} The suggestion chips
+ */
+const suggestionsOf = (categories) => new Suggestions(
+  categories.map((c) => c.suggestion).slice(0, MAX_SUGGESTIONS));
+
+/**
+ * Ask a question, remembering the response so the user can have it repeated
+ * and the question so it can be repeated if the user doesn't answer.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} response The response, ending with the question
+ * @param {string=} question The question, if it isn't the whole response
+ * @return {void}
+ */
+const ask = (conv, response, question = response) => {
+  conv.data.lastResponse = {speech: response};
+  conv.data.lastQuestion = question;
+  conv.ask(response);
+};
+
+/**
+ * Greet the user and direct them to next turn, welcoming returning users
+ * back.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {void}
+ */
+app.intent('Default Welcome Intent', (conv) => {
+  const {general} = conv.bundle;
+  const categories = remaining(conv, conv.catalog.mainCategories());
+  if (!categories.length) {
+    ask(conv, general.welcomeBackHeardItAll);
+    return conv.ask(general.suggestions.resetHistory);
   }
+  const welcome = conv.user.last.seen ? general.welcomeBack : general.welcome;
+  ask(conv, i18n.format(welcome,
+    i18n.list(conv.bundle, categories.map(nameOf))));
+  conv.ask(suggestionsOf(categories));
 });
 
 /**
@@ -60,108 +293,696 @@ app.middleware((conv) => {
  * @return {void}
  */
 app.intent('Unrecognized Deep Link Fallback', (conv) => {
-  const response = util.format(responses.general.unhandled, conv.query);
-  const suggestions = responses.categories.map((c) => c.suggestion);
-  conv.ask(response, new Suggestions(suggestions));
+  const categories = conv.catalog.mainCategories();
+  ask(conv, i18n.format(conv.bundle.general.unhandled, conv.query,
+    i18n.list(conv.bundle, categories.map(nameOf))));
+  conv.ask(suggestionsOf(categories));
 });
 
-// redirect to the intent handler for tell_fact
-app.intent('choose_fact', 'tell_fact');
+/**
+ * Gets the categories that still have facts left to tell.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Array<Object>} categories The categories from the fact catalog
+ * @return {Array<Object>} The categories with facts left
+ */
+const remaining = (conv, categories) =>
+  categories.filter((c) => conv.data.facts[c.category].length);
 
-// Say a fact
-app.intent('tell_fact', (conv, {category}) => {
-  const {facts, cats} = conv.data;
-  if (values(facts).every((c) => !c.length)) {
-    // If every fact category facts stored in conv.data is empty,
+/**
+ * Gets the name a category is spoken as.
+ * @param {Object} category The category from the fact catalog
+ * @return {string} The name of the category
+ */
+const nameOf = (category) => category.name || category.category;
+
+/**
+ * Finish a response offering main categories that still have facts left,
+ * cross-promoting the bonus topics that still have facts left too.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Array<string>} response The messages to start the response with
+ * @param {Array<Object>} categories The main categories to offer
+ * @return {void}
+ */
+const offer = (conv, response, categories) => {
+  const topics = remaining(conv, conv.catalog.topics());
+  response.push(...topics.map((t) => t.topic.alsoAvailable));
+  // Remembered to tell whether the user takes up the cross-promotion
+  if (topics.length) {
+    conv.data.promoted = topics.map((t) => t.category);
+  }
+  response.push(conv.bundle.general.wantWhat);
+  ask(conv, concat(...response), conv.bundle.general.wantWhat);
+  conv.ask(suggestionsOf(categories.concat(topics)));
+};
+
+/**
+ * Offer the other main categories that still have facts left once the user
+ * heard every fact of one.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Object} category The exhausted category from the fact catalog
+ * @return {void}
+ */
+const redirect = (conv, category) => {
+  const others = remaining(conv, conv.catalog.mainCategories());
+  const parameters = {
+    category: others[0].category,
+  };
+  // Add facts context to outgoing context list
+  conv.contexts.set(AppContexts.FACT, Lifespans.DEFAULT, parameters);
+  track(conv, analytics.Events.REDIRECT_OFFERED, {
+    category: category.category,
+    offered: others.map((c) => c.category),
+  });
+  offer(conv, [
+    i18n.format(conv.bundle.transitions.content.heardItAll,
+      nameOf(category), i18n.list(conv.bundle, others.map(nameOf))),
+  ], others);
+};
+
+/**
+ * Counts the facts left to tell in every category, bonus topics included.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {number} The number of facts left
+ */
+const factsLeft = (conv) => conv.catalog.categories
+  .reduce((sum, c) => sum + conv.data.facts[c.category].length, 0);
+
+/**
+ * Offer the main categories that still have facts left when the user asked
+ * for a category that isn't in the fact catalog.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {void}
+ */
+const unknownCategory = (conv) => {
+  const categories = remaining(conv, conv.catalog.mainCategories());
+  if (!categories.length) {
+    return close(conv, conv.bundle.general.heardItAll,
+      analytics.CloseReasons.HEARD_IT_ALL);
+  }
+  offer(conv, [
+    i18n.format(conv.bundle.general.unknownCategory,
+      i18n.list(conv.bundle, categories.map(nameOf))),
+  ], categories);
+};
+
+/**
+ * Offer the main categories that still have facts left when the user asked
+ * to hear a fact again before hearing any.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {void}
+ */
+const noFactsYet = (conv) => {
+  const categories = remaining(conv, conv.catalog.mainCategories());
+  if (!categories.length) {
+    return close(conv, conv.bundle.general.heardItAll,
+      analytics.CloseReasons.HEARD_IT_ALL);
+  }
+  offer(conv, [conv.bundle.general.noFactsYet], categories);
+};
+
+/**
+ * Say a fact told earlier in the conversation again, letting the user go on
+ * with the category of the fact.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {number} position The position of the fact among the facts told
+ * @param {string} prefix What to say before the fact
+ * @return {void}
+ */
+const retell = (conv, position, prefix) => {
+  const id = conv.data.told[position];
+  conv.data.position = position;
+  followUp(conv, conv.catalog.categoryOf(id));
+  sayFact(conv, id, prefix);
+};
+
+/**
+ * Let the user go on with a category after hearing a fact of it some other
+ * way than asking for the category.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Object} category The category from the fact catalog
+ * @return {void}
+ */
+const followUp = (conv, category) => {
+  conv.contexts.set(category.topic ? category.topic.context : AppContexts.FACT,
+    Lifespans.DEFAULT, {category: category.category});
+};
+
+/**
+ * Say a fact from a main category or a bonus topic
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Object} category The category from the fact catalog
+ * @return {Promise<void>}
+ */
+const tellFact = async (conv, category) => {
+  const {facts, told = [], promoted = []} = conv.data;
+  const {topic} = category;
+  const last = conv.catalog.categoryOf(told[told.length - 1]);
+  if (last !== category) {
+    track(conv, analytics.Events.CATEGORY_CHOSEN,
+      {category: category.category});
+  }
+  if (promoted.includes(category.category)) {
+    track(conv, analytics.Events.TOPIC_ACCEPTED,
+      {category: category.category});
+    conv.data.promoted = promoted.filter((c) => c !== category.category);
+  }
+  if (!topic && !remaining(conv, conv.catalog.mainCategories()).length) {
+    // If every main category's facts stored in conv.data is empty,
     // close the conversation
-    return conv.close(responses.general.heardItAll);
-  }
-  const categoryResponse =
-    responses.categories.find((c) => c.category === category);
-  const fact = randomPop(facts[categoryResponse.category]);
-  if (!fact) {
-    const otherCategory =
-      responses.categories.find((other) => other !== categoryResponse);
-    const redirect = otherCategory.category;
-    const parameters = {
-      category: redirect,
-    };
-    // Add facts context to outgoing context list
-    conv.contexts.set(AppContexts.FACT, Lifespans.DEFAULT, parameters);
-    const response = [
-      util.format(responses.transitions.content.heardItAll, category, redirect),
-    ];
-    // If cat facts not loaded or there still are cat facts left
-    if (cats.length) {
-      response.push(responses.transitions.content.alsoCats);
-    }
-    response.push(responses.general.wantWhat);
-    conv.ask(concat(...response));
-    conv.ask(new Suggestions(otherCategory.suggestion));
-    if (cats.length) {
-      conv.ask(new Suggestions(responses.cats.suggestion));
+    return close(conv, conv.bundle.general.heardItAll,
+      analytics.CloseReasons.HEARD_IT_ALL);
+  }
+  const id = selection.pop(facts[category.category], category, conv.catalog);
+  if (!id) {
+    track(conv, analytics.Events.CATEGORY_EXHAUSTED,
+      {category: category.category});
+  }
+  if (!id && topic) {
+    conv.contexts.delete(AppContexts.FACT);
+    conv.contexts.delete(topic.context);
+    const others = remaining(conv, conv.catalog.mainCategories());
+    if (!others.length) {
+      return close(conv, concat(topic.heardItAll,
+        conv.bundle.general.heardItAll), analytics.CloseReasons.HEARD_IT_ALL);
     }
-    return;
+    return offer(conv, [
+      topic.heardItAll,
+      i18n.format(conv.bundle.general.otherCategories,
+        i18n.list(conv.bundle, others.map(nameOf))),
+    ], others);
   }
-  const {factPrefix} = categoryResponse;
+  if (!id) {
+    return redirect(conv, category);
+  }
+  return deliver(conv, id, category.factPrefix);
+};
+
+/**
+ * Record that the user heard a fact they hadn't heard yet
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} id The id of the fact, no longer among the facts left
+ */
+const record = async (conv, id) => {
+  await historyStore.record(conv, id);
+  track(conv, analytics.Events.FACT_DELIVERED,
+    {category: conv.catalog.categoryOf(id).category, factId: id});
+  const told = (conv.data.told || []).concat(id);
+  conv.data.told = told.length > MAX_TOLD ?
+    told.slice(0, 1).concat(told.slice(1 - MAX_TOLD)) : told;
+  delete conv.data.position;
+};
+
+/**
+ * Say a fact the user hasn't heard yet, recording that they heard it
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} id The id of the fact, no longer among the facts left
+ * @param {string} prefix What to say before the fact
+ */
+const deliver = async (conv, id, prefix) => {
+  await record(conv, id);
+  sayFact(conv, id, prefix);
+};
+
+/**
+ * Say a fact, remembering it as the last response so it can be repeated
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} id The id of the fact
+ * @param {string} prefix What to say before the fact
+ * @return {void}
+ */
+const sayFact = (conv, id, prefix) => {
+  // conv.data only holds the ids of the facts, get the text from the catalog
+  const fact = conv.catalog.fact(id).text;
+  const category = conv.catalog.categoryOf(id);
+  const {screen, otherScreen} = render.surface(conv);
   // conv.ask can be called multiple times to have the library construct
   // a single response itself the response will get sent at the end of
   // the function or if the function returns a promise, after the promise
   // is resolved.
-  conv.ask(new SimpleResponse({
-    speech: concat(factPrefix, fact),
-    text: factPrefix,
-  }));
-  conv.ask(responses.general.nextFact);
-  conv.ask(new BasicCard({
-    title: fact,
-    image: random(responses.content.images),
-    buttons: new Button({
-      title: responses.general.linkOut,
-      url: responses.content.link,
-    }),
-  }));
-  conv.ask(responses.general.suggestions.confirmation);
+  conv.ask(render.fact(conv, prefix, fact, category));
+  if (otherScreen && !conv.data.offeredScreen) {
+    // Offer once per conversation to show the card on the user's phone
+    conv.data.offeredScreen = true;
+    conv.data.lastResponse = {fact: id, prefix};
+    return conv.ask(render.newSurface(conv));
+  }
+  ask(conv, conv.bundle.general.nextFact);
+  conv.data.lastResponse = {fact: id, prefix};
+  if (screen) {
+    conv.ask(render.card(conv, fact, category));
+  }
+  conv.ask(conv.bundle.general.suggestions.confirmation);
+};
+
+// redirect to the intent handler for tell_fact
+app.intent('choose_fact', 'tell_fact');
+
+// Say a fact
+app.intent('tell_fact', (conv, {category}) => {
+  const found = conv.catalog.find(category);
+  return found ? tellFact(conv, found) : unknownCategory(conv);
 });
 
-// Redirect to the intent handler for tell_cat_fact
-app.intent('choose_cats', 'tell_cat_fact');
+// Show the categories with facts left to pick one from, main categories
+// first, or say them on surfaces without a screen
+app.intent('browse_categories', (conv) => {
+  const categories = remaining(conv, conv.catalog.mainCategories());
+  if (!categories.length) {
+    return close(conv, conv.bundle.general.heardItAll,
+      analytics.CloseReasons.HEARD_IT_ALL);
+  }
+  const shown = categories.concat(remaining(conv, conv.catalog.topics()));
+  // Carousels and lists need at least two items
+  if (!render.surface(conv).screen || shown.length < 2) {
+    return offer(conv, [
+      i18n.format(conv.bundle.browse.spoken,
+        i18n.list(conv.bundle, categories.map(nameOf))),
+    ], categories);
+  }
+  ask(conv, conv.bundle.browse.intro);
+  conv.ask(render.categories(conv, shown,
+    (category) => conv.data.facts[category.category].length));
+});
 
-// Say a cat fact
-app.intent('tell_cat_fact', (conv) => {
-  const {cats} = conv.data;
-  const fact = randomPop(cats);
-  if (!fact) {
-    conv.contexts.delete(AppContexts.FACT);
-    conv.contexts.delete(AppContexts.CATS);
-    conv.ask(responses.transitions.cats.heardItAll);
-    return conv.ask(responses.general.suggestions.newFact);
+// Say a fact of the category the user picked while browsing, going on with
+// it like when they ask for it
+app.intent('actions_intent_OPTION', (conv, params, option) => {
+  const found = conv.catalog.find(option);
+  if (!found) {
+    return unknownCategory(conv);
   }
-  const {factPrefix, audio} = responses.cats;
-  // conv.ask can be called multiple times to have the library construct
-  // a single response itself. The response will get sent at the end of
-  // the function or if the function returns a promise, after the promise
-  // is resolved.
-  const sound = util.format(audio, random(responses.cats.sounds));
-  conv.ask(new SimpleResponse({
-    // <speak></speak> is needed here since factPrefix is a SSML string
-    // and contains audio.
-    speech: `<speak>${concat(factPrefix, sound, fact)}</speak>`,
-    text: factPrefix,
-  }));
-  conv.ask(responses.general.nextFact);
-  conv.ask(new BasicCard({
-    title: fact,
-    image: random(responses.cats.images),
-    buttons: new Button({
-      title: responses.general.linkOut,
-      url: responses.cats.link,
-    }),
+  followUp(conv, found);
+  return tellFact(conv, found);
+});
+
+// Bonus topics are served by the intents their catalog entry declares,
+// which don't have a category parameter, so look the topic up by intent.
+app.fallback((conv) => {
+  const topic = conv.catalog.findByIntent(conv.intent);
+  if (!topic) {
+    throw new Error(`No handler for intent ${conv.intent}`);
+  }
+  return tellFact(conv, topic);
+});
+
+// Say the last response again
+app.intent('repeat', (conv) => {
+  const {lastResponse, lastQuestion} = conv.data;
+  if (!lastResponse) {
+    return noFactsYet(conv);
+  }
+  if (lastResponse.fact) {
+    return sayFact(conv, lastResponse.fact, lastResponse.prefix);
+  }
+  ask(conv, lastResponse.speech, lastQuestion);
+});
+
+// Say the fact told before the one the user last heard
+app.intent('previous_fact', (conv) => {
+  const {told = [], position = told.length - 1} = conv.data;
+  if (!told.length) {
+    return noFactsYet(conv);
+  }
+  if (position < 1) {
+    return ask(conv, conv.bundle.general.noPreviousFact);
+  }
+  retell(conv, position - 1, conv.bundle.general.previousFact);
+});
+
+// Say the first fact told in the conversation again
+app.intent('first_fact', (conv) => {
+  if (!(conv.data.told || []).length) {
+    return noFactsYet(conv);
+  }
+  retell(conv, 0, conv.bundle.general.firstFact);
+});
+
+// Show the card of the last fact on the surface the user moved to, or go on
+// where they were if they didn't want to.
+app.intent('actions_intent_NEW_SURFACE', (conv, input, newSurface) => {
+  const {lastResponse = {}} = conv.data;
+  ask(conv, conv.bundle.general.nextFact);
+  const {fact} = lastResponse;
+  if (fact) {
+    // Repeating still says the fact rather than the question
+    conv.data.lastResponse = lastResponse;
+  }
+  if (fact && newSurface.status === 'OK') {
+    conv.ask(render.card(conv, conv.catalog.fact(fact).text,
+      conv.catalog.categoryOf(fact)));
+  }
+  conv.ask(conv.bundle.general.suggestions.confirmation);
+});
+
+// Say the fact of the day, the same for everyone unless they heard it, and
+// offer to send one every day on surfaces that can show notifications
+app.intent(AppIntents.FACT_OF_THE_DAY, async (conv) => {
+  const {facts} = conv.data;
+  const day = daily.today(daily.timeZoneOf(conv));
+  const id = daily.pick(conv.catalog, day, [].concat(...Object.values(facts)));
+  if (!id) {
+    return close(conv, conv.bundle.general.heardItAll,
+      analytics.CloseReasons.HEARD_IT_ALL);
+  }
+  const category = conv.catalog.categoryOf(id);
+  const left = facts[category.category];
+  if (left.includes(id)) {
+    left.splice(left.indexOf(id), 1);
+  }
+  followUp(conv, category);
+  await deliver(conv, id, conv.bundle.general.factOfTheDay);
+  if (render.surface(conv).screen && !conv.user.storage.dailyUpdates) {
+    conv.ask(conv.bundle.general.suggestions.dailyUpdates);
+  }
+});
+
+// Ask the Assistant to send the fact of the day every day
+app.intent('setup_daily_updates', (conv) => {
+  conv.ask(new RegisterUpdate({
+    intent: AppIntents.FACT_OF_THE_DAY,
+    frequency: 'DAILY',
   }));
-  conv.ask(responses.general.suggestions.confirmation);
+});
+
+// Go on with the conversation once the user signed up for daily facts, or
+// didn't
+app.intent('actions_intent_REGISTER_UPDATE', (conv, input, registered) => {
+  const {dailyUpdates} = conv.bundle.general;
+  const ok = registered && registered.status === 'OK';
+  if (ok) {
+    conv.user.storage.dailyUpdates = true;
+  }
+  const categories = remaining(conv, conv.catalog.mainCategories());
+  const response = ok ? dailyUpdates.registered : dailyUpdates.declined;
+  if (!categories.length) {
+    return close(conv, concat(response, conv.bundle.general.heardItAll),
+      analytics.CloseReasons.HEARD_IT_ALL);
+  }
+  offer(conv, [response], categories);
+});
+
+/**
+ * Gets the main categories that still have questions left in the quiz.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {Array<Object>} The categories with questions left
+ */
+const quizCategories = (conv) => conv.catalog.mainCategories()
+  .filter((c) => (conv.data.quiz.questions[c.category] || []).length);
+
+/**
+ * Gets the quiz question of a fact in the user's language.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} id The id of the fact
+ * @return {Question} The question
+ */
+const questionOf = (conv, id) =>
+  quizzes.question(conv.catalog.fact(id), conv.bundle.quiz.blank,
+    i18n.language(conv.user.locale));
+
+/**
+ * Ask the next question of a category, or once the category runs out of
+ * questions offer the other categories that still have some.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Object} category The category from the fact catalog
+ * @param {Array<string>} response The messages to start the response with
+ * @param {string} intro What to say before the question, if there is one
+ * @return {void}
+ */
+const askQuestion = (conv, category, response, intro) => {
+  const {quiz} = conv.data;
+  const {bundle} = conv;
+  const id = selection.pop(quiz.questions[category.category], category,
+    conv.catalog);
+  delete quiz.current;
+  conv.contexts.set(AppContexts.QUIZ, Lifespans.DEFAULT,
+    {category: category.category});
+  if (!id) {
+    const others = quizCategories(conv);
+    response.push(i18n.format(bundle.quiz.outOfQuestions, nameOf(category)));
+    if (!others.length) {
+      return endQuiz(conv, response);
+    }
+    const question = i18n.format(bundle.quiz.otherCategories,
+      i18n.list(bundle, others.map(nameOf)));
+    ask(conv, concat(...response, question), question);
+    conv.ask(new Suggestions(others
+      .map((c) => i18n.format(bundle.quiz.suggestion, c.suggestion))
+      .slice(0, MAX_SUGGESTIONS - 1)));
+    return conv.ask(bundle.quiz.suggestions.stop);
+  }
+  quiz.current = {id};
+  const question = questionOf(conv, id);
+  const asked = question.kind === 'authored' ? question.text :
+    i18n.format(bundle.quiz.fillIn, question.text);
+  ask(conv, concat(...response, intro, asked), asked);
+  conv.ask(bundle.quiz.suggestions.stop);
+};
+
+/**
+ * End the quiz telling the final score, then offer the main categories that
+ * still have facts left.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Array<string>} response The messages to start the response with
+ * @return {void}
+ */
+const endQuiz = (conv, response) => {
+  const {score = 0, asked = 0} = conv.data.quiz || {};
+  delete conv.data.quiz;
+  conv.contexts.delete(AppContexts.QUIZ);
+  response.push(i18n.plural(conv.bundle.quiz.score, score, asked));
+  const categories = remaining(conv, conv.catalog.mainCategories());
+  if (!categories.length) {
+    return close(conv, concat(...response, conv.bundle.quiz.thanks),
+      analytics.CloseReasons.QUIT);
+  }
+  offer(conv, response, categories);
+};
+
+/**
+ * Start a quiz, or go on with the one the user is in, about a category or
+ * else the one the user last heard a fact of.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string=} name The name of the category the user asked for
+ * @return {void}
+ */
+const startQuiz = (conv, name) => {
+  const {bundle} = conv;
+  if (!conv.data.quiz) {
+    conv.data.quiz = {
+      questions: quizzes.questions(conv.catalog.mainCategories()),
+      score: 0,
+      asked: 0,
+    };
+  }
+  const categories = quizCategories(conv);
+  if (!categories.length) {
+    delete conv.data.quiz;
+    ask(conv, concat(bundle.quiz.noQuiz, bundle.general.wantWhat),
+      bundle.general.wantWhat);
+    return conv.ask(suggestionsOf(
+      remaining(conv, conv.catalog.mainCategories())));
+  }
+  const {told = []} = conv.data;
+  const last = conv.catalog.categoryOf(told[told.length - 1]);
+  const category = name ? conv.catalog.find(name) :
+    categories.includes(last) ? last : categories[0];
+  if (!categories.includes(category)) {
+    const question = i18n.format(bundle.quiz.noQuestions,
+      i18n.list(bundle, categories.map(nameOf)));
+    ask(conv, question);
+    return conv.ask(new Suggestions(categories
+      .map((c) => i18n.format(bundle.quiz.suggestion, c.suggestion))
+      .slice(0, MAX_SUGGESTIONS)));
+  }
+  askQuestion(conv, category, [], i18n.format(bundle.quiz.start,
+    nameOf(category)));
+};
+
+// Quiz the user on the facts of a category, asking their questions in the
+// order the category selects its facts in
+app.intent('start_quiz', (conv, {category}) => startQuiz(conv, category));
+
+// Check the answer to the question asked. A wrong answer gets a hint and
+// another try, a second one gets the answer and the next question.
+app.intent('quiz_answer', (conv, {answer}) => {
+  const {quiz} = conv.data;
+  if (!quiz || !quiz.current) {
+    return startQuiz(conv);
+  }
+  const {bundle} = conv;
+  const {id, hinted} = quiz.current;
+  const question = questionOf(conv, id);
+  const category = conv.catalog.categoryOf(id);
+  const fact = conv.catalog.fact(id).text;
+  if (quizzes.check(question, answer)) {
+    quiz.score++;
+    quiz.asked++;
+    return askQuestion(conv, category,
+      [i18n.format(bundle.quiz.right, fact)], bundle.quiz.next);
+  }
+  if (!hinted) {
+    quiz.current.hinted = true;
+    conv.contexts.set(AppContexts.QUIZ, Lifespans.DEFAULT,
+      {category: category.category});
+    ask(conv, concat(bundle.quiz.wrong,
+      quizzes.hint(question, answer, bundle.quiz.hints),
+      bundle.quiz.tryAgain), conv.data.lastQuestion);
+    return conv.ask(bundle.quiz.suggestions.stop);
+  }
+  quiz.asked++;
+  askQuestion(conv, category, [i18n.format(bundle.quiz.reveal, fact)],
+    bundle.quiz.next);
+});
+
+// Stop the quiz, telling the user their score
+app.intent('end_quiz', (conv) => endQuiz(conv, []));
+
+/**
+ * Say the facts left of a category one after the other, recording each as
+ * heard. Surfaces that can play media say a few, then play a sound whose end
+ * brings the next ones, so the category plays hands-free. Other surfaces say
+ * them all at once. Once it has no facts left, offer the others like when
+ * the user asks for one.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Object} category The category from the fact catalog
+ * @param {string=} prefix What to say before the facts
+ * @return {Promise<void>}
+ */
+const play = async (conv, category, prefix) => {
+  const {media} = render.surface(conv);
+  const left = conv.data.facts[category.category];
+  const ids = [];
+  while (left.length && (!media || ids.length < PLAYED_PER_TURN)) {
+    ids.push(selection.pop(left, category, conv.catalog));
+  }
+  for (const id of ids) {
+    await record(conv, id);
+  }
+  if (ids.length) {
+    conv.ask(render.sequence(conv, prefix,
+      ids.map((id) => conv.catalog.fact(id).text), category));
+  }
+  if (!left.length) {
+    delete conv.data.playing;
+    conv.contexts.delete(AppContexts.EVERYTHING);
+    return tellFact(conv, category);
+  }
+  conv.data.playing = category.category;
+  conv.contexts.set(AppContexts.EVERYTHING, Lifespans.DEFAULT,
+    {category: category.category});
+  conv.ask(render.interlude(conv, category, left.length));
+  conv.ask(conv.bundle.everything.suggestions.stop);
+};
+
+/**
+ * Stop saying every fact of a category, letting the user go on with it one
+ * fact at a time.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {void}
+ */
+const stopPlaying = (conv) => {
+  const {bundle} = conv;
+  const category = conv.catalog.find(conv.data.playing);
+  delete conv.data.playing;
+  conv.contexts.delete(AppContexts.EVERYTHING);
+  if (category) {
+    followUp(conv, category);
+  }
+  ask(conv, concat(bundle.everything.stopped, bundle.general.nextFact),
+    bundle.general.nextFact);
+  conv.ask(bundle.general.suggestions.confirmation);
+};
+
+// Say every fact left of a category, or else of the one the user last heard
+// a fact of, without asking whether to go on after each one
+app.intent('tell_everything', (conv, {category}) => {
+  const {told = []} = conv.data;
+  const last = conv.catalog.categoryOf(told[told.length - 1]);
+  const categories = remaining(conv, conv.catalog.mainCategories());
+  const found = category ? conv.catalog.find(category) :
+    last && remaining(conv, [last]).length ? last : categories[0];
+  if (!found) {
+    return category ? unknownCategory(conv) :
+      close(conv, conv.bundle.general.heardItAll,
+        analytics.CloseReasons.HEARD_IT_ALL);
+  }
+  return play(conv, found, i18n.format(conv.bundle.everything.start,
+    nameOf(found)));
+});
+
+// Go on once the sound played between facts ends, or stop if the user
+// stopped it
+app.intent('actions_intent_MEDIA_STATUS', (conv) => {
+  const status = conv.arguments.get('MEDIA_STATUS');
+  const category = conv.catalog.find(conv.data.playing);
+  if (category && status && status.status === 'FINISHED') {
+    return play(conv, category);
+  }
+  stopPlaying(conv);
+});
+
+// Stop saying every fact when the user asks to
+app.intent('stop_everything', stopPlaying);
+
+// Forget the facts the user heard so they can hear them all again
+app.intent('reset_history', async (conv) => {
+  await historyStore.clear(conv);
+  conv.data.facts = conv.catalog.facts();
+  conv.contexts.delete(AppContexts.FACT);
+  const categories = conv.catalog.mainCategories();
+  ask(conv, i18n.format(conv.bundle.general.historyReset,
+    i18n.list(conv.bundle, categories.map(nameOf))));
+  conv.ask(suggestionsOf(categories));
+});
+
+// Say goodbye, telling the user how many facts are left for next time
+app.intent('quit_facts', (conv) => {
+  close(conv, i18n.plural(conv.bundle.general.quit, factsLeft(conv)),
+    analytics.CloseReasons.QUIT);
+});
+
+// When the user isn't understood, ask them to rephrase, then offer the
+// categories that still have facts left, then end the conversation.
+app.intent(AppIntents.FALLBACK, (conv) => {
+  const {fallbacks} = conv.bundle.general;
+  const count = conv.data.fallbacks || 0;
+  conv.data.fallbacks = count + 1;
+  if (count === 0) {
+    return conv.ask(fallbacks[0]);
+  }
+  const categories = remaining(conv, conv.catalog.mainCategories());
+  if (count >= fallbacks.length - 1 || !categories.length) {
+    return close(conv, fallbacks[fallbacks.length - 1],
+      analytics.CloseReasons.FALLBACK);
+  }
+  offer(conv, [
+    i18n.format(fallbacks[count],
+      i18n.list(conv.bundle, categories.map(nameOf))),
+  ], categories);
+});
+
+// Reprompt the user when they don't answer, escalating with every reprompt
+// and repeating the last question, until the final one closes the
+// conversation.
+app.intent(AppIntents.NO_INPUT, (conv) => {
+  const {noInputs, wantWhat} = conv.bundle.general;
+  const count = conv.data.noInputs || 0;
+  if (conv.arguments.get('IS_FINAL_REPROMPT') ||
+    count >= noInputs.length - 1) {
+    return close(conv, noInputs[noInputs.length - 1],
+      analytics.CloseReasons.NO_INPUT);
+  }
+  conv.data.noInputs = count + 1;
+  conv.ask(concat(noInputs[count], conv.data.lastQuestion || wantWhat));
 });
 
 // The entry point to handle a http request
 exports.dialogflowFirebaseFulfillment = functions.https.onRequest(app);
+// For serving the app without Firebase, see server.js
+exports.app = app;
+exports.loadedCatalogs = loadedCatalogs;
 // For testing purposes
 exports.testApp = app;
+exports.analyticsSink = analyticsSink;
+// For checking the agent against the code, see scripts/check-agent.js
+exports.AppContexts = AppContexts;
@@ -0,0 +1,187 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * German responses. Any string missing here falls back to the English one in
+ * ../responses.js; run `npm run check-locales` to list them.
+ */
+
+/* eslint quote-props: ["error", "always"] */
+/* eslint quotes: ["error", "double"] */
+
+// eslint-disable-next-line quotes
+const {Suggestions} = require('actions-on-google');
+
+exports.content = {
+  "images": [
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Search_GSA.2e16d0ba.fill-300x300.png",
+      "accessibilityText": "Logo der Google App",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Dinosaur-skeleton-at-Google.max-900x900.jpg",
+      "accessibilityText": "Stan der Dinosaurier im Googleplex",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Wide-view-of-Google-campus.max-900x900.jpg",
+      "accessibilityText": "Googleplex",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Bikes-on-the-Google-campus.2e16d0ba.fill-300x300.jpg",
+      "accessibilityText": "Radfahren im Googleplex",
+    },
+  ],
+  "link": "https://www.google.com/about/",
+  "interlude": "https://actions.google.com/sounds/v1/cartoon/pop.ogg",
+};
+
+exports.transitions = {
+  "content": {
+    "heardItAll": "Sieht so aus, als hättest du alles zum Thema „%1$s“ " +
+      "von Google gehört. Ich könnte dir stattdessen etwas zum Thema " +
+      "„%2$s“ erzählen.",
+  },
+};
+
+exports.general = {
+  "heardItAll": "Sieht so aus, als hättest du schon alles gehört. " +
+    "Danke fürs Zuhören!",
+  "apology": "Entschuldigung, bei mir ist etwas schiefgelaufen. Bitte " +
+    "versuch es gleich noch einmal.",
+  "noInputs": [
+    "Das habe ich nicht gehört.",
+    "Wenn du noch da bist, sag das bitte noch einmal.",
+    "Wir können hier aufhören. Bis bald.",
+  ],
+  "suggestions": {
+    "confirmation": new Suggestions("Ja", "Nein danke"),
+    "resetHistory": new Suggestions("Verlauf zurücksetzen"),
+    "dailyUpdates": new Suggestions("Jeden Tag einen"),
+  },
+  "welcome": "Willkommen bei Fakten über Google! Möchtest du etwas zu " +
+    "diesen Themen über Google hören: %s?",
+  "welcomeBack": "Willkommen zurück bei Fakten über Google! Möchtest du " +
+    "mehr zu diesen Themen über Google hören: %s?",
+  "welcomeBackHeardItAll": "Willkommen zurück bei Fakten über Google! " +
+    "Du hast schon alle meine Fakten gehört. Sag „Verlauf zurücksetzen“, " +
+    "um sie alle noch einmal zu hören.",
+  "quit": {
+    "0": "Okay, du hast alle meine Fakten gehört. Danke fürs Zuhören!",
+    "1": "Okay, meinen letzten Fakt hebe ich für das nächste Mal auf. " +
+      "Tschüss!",
+    "other": "Okay, ich habe noch %d Fakten für das nächste Mal. Tschüss!",
+  },
+  "fallbacks": [
+    "Wie bitte? Kannst du das anders sagen?",
+    "Tut mir leid, das habe ich wieder nicht verstanden. Ich kann dir " +
+      "etwas zu diesen Themen über Google erzählen: %s.",
+    "Tut mir leid, ich verstehe dich gerade nicht. Lass uns später " +
+      "weiterreden. Tschüss!",
+  ],
+  "historyReset": "Okay, ich habe alle Fakten vergessen, die ich dir " +
+    "erzählt habe. Möchtest du etwas zu diesen Themen über Google hören: %s?",
+  "otherCategories": "Ich kann dir stattdessen etwas zu diesen Themen über " +
+    "Google erzählen: %s.",
+  "nextFact": "Möchtest du noch einen Fakt hören?",
+  "previousFact": "Hier ist der Fakt davor.",
+  "firstFact": "Klar, hier ist der erste Fakt, den ich dir erzählt habe.",
+  "noPreviousFact": "Das war der erste Fakt, den ich dir erzählt habe. " +
+    "Möchtest du noch einen Fakt hören?",
+  "noFactsYet": "Ich habe dir noch keine Fakten erzählt.",
+  "factOfTheDay": "Hier ist der Google-Fakt des Tages.",
+  "dailyUpdates": {
+    "registered": "Okay, ich schicke dir jeden Tag einen Fakt über Google.",
+    "declined": "Okay, dann keine täglichen Fakten.",
+  },
+  "linkOut": "Mehr erfahren",
+  "newSurface": {
+    "context": "Um dir diesen Fakt und weitere Informationen zu zeigen",
+    "notification": "Ein Fakt über Google",
+  },
+  "wantWhat": "Worüber möchtest du also etwas hören?",
+  "unknownCategory": "Tut mir leid, dazu kenne ich keine Fakten. Ich " +
+    "kann dir etwas zu diesen Themen über Google erzählen: %s.",
+  "list": {
+    "separator": ", ",
+    "lastSeparator": " oder ",
+  },
+  "unhandled": "Willkommen bei Fakten über Google! Über %1$s würde ich " +
+    "lieber nicht sprechen. Möchtest du nicht lieber über Google sprechen? " +
+    "Ich kann dir etwas zu diesen Themen über Google erzählen: %2$s. Was " +
+    "möchtest du hören?",
+};
+
+exports.browse = {
+  "intro": "Darüber kann ich dir etwas erzählen. Was möchtest du hören?",
+  "spoken": "Ich kann dir etwas zu diesen Themen über Google erzählen: %s.",
+  "title": "Fakten über Google",
+  "factsLeft": {
+    "1": "Noch 1 Fakt",
+    "other": "Noch %d Fakten",
+  },
+};
+
+exports.everything = {
+  "start": "Okay, hier sind alle meine Fakten zum Thema %s.",
+  "stopped": "Okay, ich höre hier auf.",
+  "suggestions": {
+    "stop": new Suggestions("Stopp"),
+  },
+};
+
+exports.quiz = {
+  "start": "Okay, mal sehen, was du über Googles %s weißt.",
+  "next": "Hier ist die nächste Frage.",
+  "fillIn": "Ergänze die Lücke: %s",
+  "blank": "…",
+  "right": "Richtig! %s",
+  "wrong": "Nicht ganz.",
+  "tryAgain": "Versuch es noch einmal.",
+  "reveal": "Nicht ganz. %s",
+  "hints": {
+    "startsWith": "Ein Tipp: Es fängt mit %s an.",
+    "year": {
+      "higher": "Ein Tipp: Es war später.",
+      "lower": "Ein Tipp: Es war früher.",
+      "number": "Ein Tipp: Es ist eine Jahreszahl.",
+    },
+    "count": {
+      "higher": "Ein Tipp: Es sind mehr.",
+      "lower": "Ein Tipp: Es sind weniger.",
+      "number": "Ein Tipp: Es ist eine Zahl.",
+    },
+  },
+  "outOfQuestions": "Das waren alle meine Fragen zu Googles %s.",
+  "otherCategories": "Ich kann dich auch zu Googles %s abfragen. " +
+    "Was möchtest du?",
+  "noQuestions": "Dazu habe ich leider keine Fragen. Ich kann dich zu " +
+    "Googles %s abfragen.",
+  "noQuiz": "Ich habe leider gerade keine Fragen.",
+  "score": {
+    "0": "Diesmal war leider keine Antwort richtig.",
+    "1": "Du hattest 1 von %2$d richtig.",
+    "other": "Du hattest %1$d von %2$d richtig.",
+  },
+  "thanks": "Danke fürs Mitspielen!",
+  "suggestion": "%s-Quiz",
+  "suggestions": {
+    "stop": new Suggestions("Quiz beenden"),
+  },
+};
@@ -0,0 +1,191 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * French responses. Any string missing here falls back to the English one in
+ * ../responses.js; run `npm run check-locales` to list them.
+ */
+
+/* eslint quote-props: ["error", "always"] */
+/* eslint quotes: ["error", "double"] */
+
+// eslint-disable-next-line quotes
+const {Suggestions} = require('actions-on-google');
+
+exports.content = {
+  "images": [
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Search_GSA.2e16d0ba.fill-300x300.png",
+      "accessibilityText": "Logo de l'application Google",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Dinosaur-skeleton-at-Google.max-900x900.jpg",
+      "accessibilityText": "Stan le dinosaure au Googleplex",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Wide-view-of-Google-campus.max-900x900.jpg",
+      "accessibilityText": "Googleplex",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Bikes-on-the-Google-campus.2e16d0ba.fill-300x300.jpg",
+      "accessibilityText": "À vélo au Googleplex",
+    },
+  ],
+  "link": "https://www.google.com/about/",
+  "interlude": "https://actions.google.com/sounds/v1/cartoon/pop.ogg",
+};
+
+exports.transitions = {
+  "content": {
+    "heardItAll": "On dirait que vous avez tout entendu sur le thème " +
+      "« %1$s » de Google. Je pourrais plutôt vous parler du thème « %2$s ».",
+  },
+};
+
+exports.general = {
+  "heardItAll": "En fait, on dirait que vous avez tout entendu. " +
+    "Merci de votre écoute !",
+  "apology": "Désolé, j'ai rencontré un problème. Réessayez dans " +
+    "quelques instants.",
+  "noInputs": [
+    "Je n'ai pas entendu.",
+    "Si vous êtes toujours là, répétez s'il vous plaît.",
+    "Arrêtons-nous là. À bientôt.",
+  ],
+  "suggestions": {
+    "confirmation": new Suggestions("Oui", "Non merci"),
+    "resetHistory": new Suggestions("Oublie mon historique"),
+    "dailyUpdates": new Suggestions("Une chaque jour"),
+  },
+  "welcome": "Bienvenue dans Anecdotes sur Google ! Voulez-vous entendre " +
+    "parler des thèmes suivants de Google : %s ?",
+  "welcomeBack": "Bon retour dans Anecdotes sur Google ! Voulez-vous en " +
+    "apprendre plus sur les thèmes suivants de Google : %s ?",
+  "welcomeBackHeardItAll": "Bon retour dans Anecdotes sur Google ! Vous " +
+    "avez déjà entendu toutes mes anecdotes. Dites « oublie mon " +
+    "historique » pour toutes les réentendre.",
+  "quit": {
+    "0": "D'accord, vous avez entendu toutes mes anecdotes. Merci de " +
+      "votre écoute !",
+    "1": "D'accord, je garde ma dernière anecdote pour la prochaine " +
+      "fois. Au revoir !",
+    "other": "D'accord, il me reste %d anecdotes pour la prochaine fois. " +
+      "Au revoir !",
+  },
+  "fallbacks": [
+    "Pardon ? Pourriez-vous le dire autrement ?",
+    "Désolé, je n'ai toujours pas compris. Je peux vous parler des " +
+      "thèmes suivants de Google : %s.",
+    "Désolé, j'ai du mal à vous comprendre. Reparlons-en plus tard. " +
+      "Au revoir !",
+  ],
+  "historyReset": "D'accord, j'ai oublié toutes les anecdotes que je vous " +
+    "ai racontées. Voulez-vous entendre parler des thèmes suivants de " +
+    "Google : %s ?",
+  "otherCategories": "Je peux plutôt vous parler des thèmes suivants de " +
+    "Google : %s.",
+  "nextFact": "Voulez-vous entendre une autre anecdote ?",
+  "previousFact": "Voici l'anecdote d'avant.",
+  "firstFact": "Bien sûr, voici la première anecdote que je vous ai " +
+    "racontée.",
+  "noPreviousFact": "C'était la première anecdote que je vous ai " +
+    "racontée. Voulez-vous entendre une autre anecdote ?",
+  "noFactsYet": "Je ne vous ai encore raconté aucune anecdote.",
+  "factOfTheDay": "Voici l'anecdote sur Google du jour.",
+  "dailyUpdates": {
+    "registered": "D'accord, je vous enverrai une anecdote sur Google " +
+      "chaque jour.",
+    "declined": "D'accord, pas d'anecdote quotidienne alors.",
+  },
+  "linkOut": "En savoir plus",
+  "newSurface": {
+    "context": "Pour vous montrer cette anecdote et où en savoir plus",
+    "notification": "Une anecdote sur Google",
+  },
+  "wantWhat": "Alors, de quoi voulez-vous entendre parler ?",
+  "unknownCategory": "Désolé, je n'ai pas d'anecdotes sur ce sujet. Je " +
+    "peux vous parler des thèmes suivants de Google : %s.",
+  "list": {
+    "separator": ", ",
+    "lastSeparator": " ou ",
+  },
+  "unhandled": "Bienvenue dans Anecdotes sur Google ! Je préfère ne pas " +
+    "parler de %1$s. Ne voulez-vous pas plutôt parler de Google ? Je peux " +
+    "vous parler des thèmes suivants de Google : %2$s. Lequel voulez-vous " +
+    "entendre ?",
+};
+
+exports.browse = {
+  "intro": "Voici ce dont je peux vous parler. Que voulez-vous choisir ?",
+  "spoken": "Je peux vous parler des thèmes suivants de Google : %s.",
+  "title": "Anecdotes sur Google",
+  "factsLeft": {
+    "1": "Encore 1 anecdote",
+    "other": "Encore %d anecdotes",
+  },
+};
+
+exports.everything = {
+  "start": "D'accord, voici toutes mes anecdotes sur le thème %s.",
+  "stopped": "D'accord, je m'arrête là.",
+  "suggestions": {
+    "stop": new Suggestions("Arrêter"),
+  },
+};
+
+exports.quiz = {
+  "start": "D'accord, voyons ce que vous savez sur ce thème de Google : %s.",
+  "next": "Question suivante.",
+  "fillIn": "Complétez : %s",
+  "blank": "…",
+  "right": "Bonne réponse ! %s",
+  "wrong": "Pas tout à fait.",
+  "tryAgain": "Essayez encore.",
+  "reveal": "Pas tout à fait. %s",
+  "hints": {
+    "startsWith": "Un indice : ça commence par %s.",
+    "year": {
+      "higher": "Un indice : c'est plus tard que ça.",
+      "lower": "Un indice : c'est plus tôt que ça.",
+      "number": "Un indice : c'est une année.",
+    },
+    "count": {
+      "higher": "Un indice : c'est plus que ça.",
+      "lower": "Un indice : c'est moins que ça.",
+      "number": "Un indice : c'est un nombre.",
+    },
+  },
+  "outOfQuestions": "C'est tout pour mes questions sur ce thème : %s.",
+  "otherCategories": "Je peux aussi vous interroger sur ces thèmes de " +
+    "Google : %s. Lequel voulez-vous ?",
+  "noQuestions": "Désolé, je n'ai pas de questions là-dessus. Je peux " +
+    "vous interroger sur ces thèmes de Google : %s.",
+  "noQuiz": "Désolé, je n'ai pas de questions pour l'instant.",
+  "score": {
+    "0": "Vous n'avez eu aucune bonne réponse cette fois.",
+    "1": "Vous avez eu 1 bonne réponse sur %2$d.",
+    "other": "Vous avez eu %1$d bonnes réponses sur %2$d.",
+  },
+  "thanks": "Merci d'avoir joué !",
+  "suggestion": "Quiz %s",
+  "suggestions": {
+    "stop": new Suggestions("Arrête le quiz"),
+  },
+};
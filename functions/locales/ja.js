@@ -0,0 +1,184 @@
+/**
+ * Copyright 2019 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Japanese responses. Any string missing here falls back to the English one
+ * in ../responses.js; run `npm run check-locales` to list them.
+ */
+
+/* eslint quote-props: ["error", "always"] */
+/* eslint quotes: ["error", "double"] */
+
+// eslint-disable-next-line quotes
+const {Suggestions} = require('actions-on-google');
+
+exports.content = {
+  "images": [
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Search_GSA.2e16d0ba.fill-300x300.png",
+      "accessibilityText": "Googleアプリのロゴ",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Dinosaur-skeleton-at-Google.max-900x900.jpg",
+      "accessibilityText": "Googleplexの恐竜スタン",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Wide-view-of-Google-campus.max-900x900.jpg",
+      "accessibilityText": "Googleplex",
+    },
+    {
+      "url": "https://storage.googleapis.com/gweb-uniblog-publish-prod/images/" +
+        "Bikes-on-the-Google-campus.2e16d0ba.fill-300x300.jpg",
+      "accessibilityText": "Googleplexでのサイクリング",
+    },
+  ],
+  "link": "https://www.google.com/about/",
+  "interlude": "https://actions.google.com/sounds/v1/cartoon/pop.ogg",
+};
+
+exports.transitions = {
+  "content": {
+    "heardItAll": "Googleの%1$sについては全部聞いたようですね。" +
+      "代わりに%2$sについてお話しできます。",
+  },
+};
+
+exports.general = {
+  "heardItAll": "どうやらすべて聞いてしまったようです。" +
+    "お聞きいただきありがとうございました！",
+  "apology": "すみません、問題が発生しました。しばらくしてから" +
+    "もう一度お試しください。",
+  "noInputs": [
+    "聞き取れませんでした。",
+    "まだいらっしゃいましたら、もう一度おっしゃってください。",
+    "ここで終わりにしましょう。またお会いしましょう。",
+  ],
+  "suggestions": {
+    "confirmation": new Suggestions("はい", "いいえ"),
+    "resetHistory": new Suggestions("履歴をリセット"),
+    "dailyUpdates": new Suggestions("毎日送って"),
+  },
+  "welcome": "Googleの豆知識へようこそ！Googleの%sについて聞きますか？",
+  "welcomeBack": "Googleの豆知識へおかえりなさい！Googleの%sについて" +
+    "もっと聞きますか？",
+  "welcomeBackHeardItAll": "Googleの豆知識へおかえりなさい！豆知識は" +
+    "すべて聞いてしまったようです。もう一度聞くには「履歴をリセット」と" +
+    "言ってください。",
+  "quit": {
+    "0": "わかりました。豆知識はすべてお話ししました。" +
+      "お聞きいただきありがとうございました！",
+    "1": "わかりました。最後の豆知識は次回にとっておきます。さようなら！",
+    "other": "わかりました。豆知識はあと%d個あります。また次回に。" +
+      "さようなら！",
+  },
+  "fallbacks": [
+    "すみません、別の言い方で言っていただけますか？",
+    "すみません、やはりわかりませんでした。Googleの%sについて" +
+      "お話しできます。",
+    "すみません、うまく聞き取れません。また後でお話ししましょう。" +
+      "さようなら！",
+  ],
+  "historyReset": "わかりました。お話しした豆知識をすべて忘れました。" +
+    "Googleの%sについて聞きますか？",
+  "otherCategories": "代わりにGoogleの%sについてお話しできます。",
+  "nextFact": "別の豆知識を聞きますか？",
+  "previousFact": "その前の豆知識はこちらです。",
+  "firstFact": "はい、最初にお話しした豆知識はこちらです。",
+  "noPreviousFact": "それが最初にお話しした豆知識です。" +
+    "別の豆知識を聞きますか？",
+  "noFactsYet": "まだ豆知識をお話ししていません。",
+  "factOfTheDay": "今日のGoogle豆知識です。",
+  "dailyUpdates": {
+    "registered": "わかりました。毎日Googleの豆知識をお送りします。",
+    "declined": "わかりました。毎日の豆知識はやめておきます。",
+  },
+  "linkOut": "詳細",
+  "newSurface": {
+    "context": "この豆知識と詳細をお見せするには",
+    "notification": "Googleについての豆知識",
+  },
+  "wantWhat": "では、何について聞きたいですか？",
+  "unknownCategory": "すみません、それについての豆知識はありません。" +
+    "Googleの%sについてお話しできます。",
+  "list": {
+    "separator": "、",
+    "lastSeparator": "か",
+  },
+  "unhandled": "Googleの豆知識へようこそ！%1$sについてはあまりお話し" +
+    "したくありません。Googleについてお話ししませんか？Googleの%2$sに" +
+    "ついてお話しできます。どれを聞きたいですか？",
+};
+
+exports.browse = {
+  "intro": "お話しできるのはこちらです。どれにしますか？",
+  "spoken": "Googleの%sについてお話しできます。",
+  "title": "Googleの豆知識",
+  "factsLeft": {
+    "1": "残り1個",
+    "other": "残り%d個",
+  },
+};
+
+exports.everything = {
+  "start": "では、%sについての豆知識をすべてお話しします。",
+  "stopped": "わかりました。ここでやめておきます。",
+  "suggestions": {
+    "stop": new Suggestions("やめる"),
+  },
+};
+
+exports.quiz = {
+  "start": "では、Googleの%sについてのクイズです。",
+  "next": "次の問題です。",
+  "fillIn": "空欄を埋めてください。%s",
+  "blank": "何",
+  "right": "正解です！%s",
+  "wrong": "惜しいです。",
+  "tryAgain": "もう一度どうぞ。",
+  "reveal": "残念です。%s",
+  "hints": {
+    "startsWith": "ヒント：%sで始まります。",
+    "year": {
+      "higher": "ヒント：もっと後の年です。",
+      "lower": "ヒント：もっと前の年です。",
+      "number": "ヒント：年で答えてください。",
+    },
+    "count": {
+      "higher": "ヒント：もっと多いです。",
+      "lower": "ヒント：もっと少ないです。",
+      "number": "ヒント：数で答えてください。",
+    },
+  },
+  "outOfQuestions": "Googleの%sについての問題はこれで全部です。",
+  "otherCategories": "Googleの%sについてのクイズもあります。" +
+    "どれにしますか？",
+  "noQuestions": "すみません、それについての問題はありません。" +
+    "Googleの%sについてのクイズができます。",
+  "noQuiz": "すみません、今は問題がありません。",
+  "score": {
+    "0": "今回は正解がありませんでした。",
+    "1": "%2$d問中1問正解でした。",
+    "other": "%2$d問中%1$d問正解でした。",
+  },
+  "thanks": "遊んでくれてありがとう！",
+  "suggestion": "%sクイズ",
+  "suggestions": {
+    "stop": new Suggestions("クイズをやめる"),
+  },
+};
@@ -0,0 +1,218 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Logs structured JSON lines, which Stackdriver Logging parses into entries
+ * with their severity. Everything logged is redacted first: what users said,
+ * user ids and tokens never reach the logs, so logging can stay on in
+ * production.
+ */
+
+/** Log levels, each also logging the ones before it */
+const Levels = ['error', 'warn', 'info', 'debug'];
+
+/** The level logged unless LOG_LEVEL sets another */
+const DEFAULT_LEVEL = 'info';
+
+/** What redacted values are replaced with */
+const REDACTED = '[redacted]';
+
+/**
+ * Keys of values that hold what users said, identify them or grant access.
+ * Dialogflow also keeps what the user said for a parameter in
+ * <parameter>.original.
+ */
+const SENSITIVE_KEY = new RegExp('^(rawText|query|queryText|textValue|' +
+  'userId|userStorage|idToken|id_token|accessToken|access_token|' +
+  'refresh_token|private_key|authorization|password)$|\\.original$', 'i');
+
+/**
+ * More keys of values that grant access, by lowercase name, like the names
+ * of the headers webhook requests authenticate with.
+ */
+const secretKeys = new Set();
+
+/** Tokens in text, like in an authorization header */
+const BEARER = /\bBearer\s+[\w.~+/-]+=*/gi;
+
+/**
+ * Copies a value, redacting what users said, user ids and tokens at any
+ * depth.
+ * @param {*} value The value.
+ * @return {*} The redacted copy.
+ */
+const redact = (value) => {
+  if (typeof value === 'string') {
+    return value.replace(BEARER, `Bearer ${REDACTED}`);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value instanceof Error) {
+    return redact({name: value.name, message: value.message,
+      stack: value.stack});
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.keys(value).reduce((o, key) => {
+    o[key] = SENSITIVE_KEY.test(key) || secretKeys.has(key.toLowerCase()) ?
+      REDACTED : redact(value[key]);
+    return o;
+  }, {});
+};
+
+/**
+ * Redacts the values of more keys from now on, in every logger, like the
+ * headers set with WEBHOOK_HEADERS, which hold secrets.
+ * @param {Array<string>} keys The keys, in any case.
+ * @return {void}
+ */
+const redactKeys = (keys) => {
+  for (const key of keys) {
+    secretKeys.add(key.toLowerCase());
+  }
+};
+
+/**
+ * Gets the conversation a webhook request belongs to, to tie logs to it.
+ * @param {Object} body The Dialogflow webhook request.
+ * @return {string|undefined} The conversation id, if the request has one.
+ */
+const conversationId = (body = {}) => {
+  const original = body.originalDetectIntentRequest || {};
+  const {conversation} = original.payload || {};
+  if (conversation && conversation.conversationId) {
+    return conversation.conversationId;
+  }
+  return body.session ? body.session.split('/').pop() : undefined;
+};
+
+/**
+ * Logs JSON lines at a level and below, with fields added to every line.
+ */
+class Logger {
+  /**
+   * @param {string=} level The most detailed level logged, one of Levels.
+   *     Unknown levels log the default one.
+   * @param {Object=} fields Added to every line, like the conversation id.
+   * @param {Object=} output Where to write lines, defaults to the console.
+   * @param {function(string): void} output.out Writes info and debug lines.
+   * @param {function(string): void} output.err Writes error and warn lines.
+   */
+  constructor(level, fields = {}, output) {
+    this.level = Levels.includes(level) ? level : DEFAULT_LEVEL;
+    this.fields = fields;
+    this.output = output || {
+      out: (line) => console.log(line),
+      err: (line) => console.error(line),
+    };
+  }
+
+  /**
+   * Creates a logger adding more fields to every line.
+   * @param {Object} fields The fields.
+   * @return {Logger} The logger.
+   */
+  child(fields) {
+    return new Logger(this.level,
+      Object.assign({}, this.fields, fields), this.output);
+  }
+
+  /**
+   * Tells whether a level is logged, to skip building what wouldn't be.
+   * @param {string} level The level, one of Levels.
+   * @return {boolean} Whether it is logged.
+   */
+  enabled(level) {
+    return Levels.indexOf(level) <= Levels.indexOf(this.level);
+  }
+
+  /**
+   * Logs a line, redacted.
+   * @param {string} level The level, one of Levels.
+   * @param {string} message What happened.
+   * @param {Object=} data Details, redacted too.
+   * @return {void}
+   */
+  log(level, message, data = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    const line = JSON.stringify(redact(Object.assign({
+      severity: level.toUpperCase(),
+      message,
+      timestamp: new Date().toISOString(),
+    }, this.fields, data)));
+    if (Levels.indexOf(level) <= Levels.indexOf('warn')) {
+      this.output.err(line);
+    } else {
+      this.output.out(line);
+    }
+  }
+
+  /**
+   * Logs an error.
+   * @param {string} message What happened.
+   * @param {Object=} data Details.
+   * @return {void}
+   */
+  error(message, data) {
+    this.log('error', message, data);
+  }
+
+  /**
+   * Logs a warning.
+   * @param {string} message What happened.
+   * @param {Object=} data Details.
+   * @return {void}
+   */
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  /**
+   * Logs information.
+   * @param {string} message What happened.
+   * @param {Object=} data Details.
+   * @return {void}
+   */
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  /**
+   * Logs details for debugging, like whole requests.
+   * @param {string} message What happened.
+   * @param {Object=} data Details.
+   * @return {void}
+   */
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+}
+
+/** The logger of the function, at the level set by LOG_LEVEL */
+const log = new Logger(process.env.LOG_LEVEL);
+
+module.exports = {
+  Levels,
+  Logger,
+  REDACTED,
+  conversationId,
+  log,
+  redact,
+  redactKeys,
+};
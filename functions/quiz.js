@@ -0,0 +1,138 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Turns the facts of the catalog into quiz questions. A fact with a quiz
+ * block is asked the way it was written, any other fact with a number, like
+ * a year or a count, is asked with the number blanked out. Facts without
+ * either aren't asked.
+ */
+const i18n = require('./i18n');
+const years = require('./years');
+
+/** The number of a fact blanked out, the first one in its text */
+const NUMBER = /\d+/;
+
+/**
+ * @typedef Question
+ * @property {string} kind How the question was made: authored, year or count.
+ * @property {string} text What is asked, with its blank if it has one.
+ * @property {Array<string>} answers The answers taken as right, the first
+ *     one being told when the user doesn't find it.
+ * @property {string=} hint The hint the catalog gives, if any.
+ */
+
+/**
+ * Makes the question of a fact.
+ * @param {Object} fact The fact from the fact catalog.
+ * @param {string} blank What the number of the fact is replaced with.
+ * @param {string=} language The language of the fact, like de, telling its
+ *     years from its counts.
+ * @return {Question|null} The question, null if the fact can't be asked.
+ */
+const question = (fact, blank, language) => {
+  if (fact.quiz) {
+    return {
+      kind: 'authored',
+      text: fact.quiz.question,
+      answers: fact.quiz.answers,
+      hint: fact.quiz.hint,
+    };
+  }
+  const match = fact.text.match(NUMBER);
+  if (!match) {
+    return null;
+  }
+  return {
+    kind: years.isYearAt(fact.text, match.index, language) ? 'year' : 'count',
+    text: fact.text.slice(0, match.index) + blank +
+      fact.text.slice(match.index + match[0].length),
+    answers: [match[0]],
+  };
+};
+
+/**
+ * Builds the initial map of category name to the ids of the facts that can
+ * be asked, used to seed the questions of a quiz.
+ * @param {Array<Object>} categories The categories of the quiz, from the
+ *     fact catalog.
+ * @return {Object<string, Array<string>>} The ids of the facts to ask.
+ */
+const questions = (categories) => categories.reduce((o, c) => {
+  o[c.category] = c.facts.filter((fact) => question(fact, ''))
+    .map((fact) => fact.id);
+  return o;
+}, {});
+
+/**
+ * Private utility function to compare what users said, ignoring case,
+ * accents and punctuation.
+ * @param {string} text What the user said or an answer.
+ * @return {string} The text to compare.
+ */
+const normalize_ = (text) => text.toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\s.,;:!?¿¡'"“”‘’()、。，！？「」]+/g, ' ')
+  .trim();
+
+/**
+ * Private utility function to get the numbers the user said.
+ * @param {string} text What the user said.
+ * @return {Array<number>} The numbers.
+ */
+const numbers_ = (text) => (text.match(/\d+/g) || []).map(Number);
+
+/**
+ * Checks an answer. Numbers have to be the same, other answers only have to
+ * be said among other words, like "I think it's Mountain View".
+ * @param {Question} question The question.
+ * @param {string} answer What the user answered.
+ * @return {boolean} Whether the answer is right.
+ */
+const check = (question, answer = '') => question.answers.some((right) =>
+  /^\d+$/.test(right) ?
+    numbers_(answer).includes(Number(right)) :
+    normalize_(answer).includes(normalize_(right)));
+
+/**
+ * Gives a hint after a wrong answer. Numbers tell whether the answer is
+ * higher or lower, other questions give the hint of the catalog or else the
+ * first letter of the answer.
+ * @param {Question} question The question.
+ * @param {string} answer What the user answered.
+ * @param {Object} hints The hint templates of the user's language.
+ * @return {string} The hint.
+ */
+const hint = (question, answer, hints) => {
+  const [right] = question.answers;
+  if (question.kind !== 'authored') {
+    const [guess] = numbers_(answer || '');
+    if (typeof guess === 'undefined') {
+      return hints[question.kind].number;
+    }
+    return Number(right) > guess ?
+      hints[question.kind].higher : hints[question.kind].lower;
+  }
+  return question.hint || i18n.format(hints.startsWith,
+    right.charAt(0).toUpperCase());
+};
+
+module.exports = {
+  check,
+  hint,
+  question,
+  questions,
+};
@@ -0,0 +1,207 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Renders facts for the surface the user is on. Speakers don't get cards,
+ * text only surfaces don't get SSML and surfaces without a browser
+ * don't get links. Speaker users with a phone can be handed off to it.
+ */
+const {
+  BasicCard,
+  Button,
+  Carousel,
+  Image,
+  List,
+  MediaObject,
+  NewSurface,
+  SimpleResponse,
+} = require('actions-on-google');
+
+const {concat, random} = require('./util');
+const i18n = require('./i18n');
+const ssml = require('./ssml');
+
+/** Surface capabilities {@link https://developers.google.com/actions/assistant/surface-capabilities} */
+const Capabilities = {
+  SCREEN: 'actions.capability.SCREEN_OUTPUT',
+  BROWSER: 'actions.capability.WEB_BROWSER',
+  AUDIO: 'actions.capability.AUDIO_OUTPUT',
+  MEDIA: 'actions.capability.MEDIA_RESPONSE_AUDIO',
+};
+
+/** The most items a carousel can show, lists show more */
+const MAX_CAROUSEL_ITEMS = 10;
+
+/** The most items a list can show */
+const MAX_LIST_ITEMS = 30;
+
+/** The pause between facts said one after the other, without sounds */
+const SEQUENCE_PAUSE = '1s';
+
+/**
+ * Gets what the surface the user is on can render.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {{screen: boolean, browser: boolean, audio: boolean,
+ *     media: boolean, otherScreen: boolean}} Whether the surface has a
+ *     screen, a browser, audio and can play media, and whether the
+ *     conversation can move to another surface of the user that has a
+ *     screen.
+ */
+const surface = (conv) => {
+  const has = (capability) => conv.surface.capabilities.has(capability);
+  const screen = has(Capabilities.SCREEN);
+  return {
+    screen,
+    browser: has(Capabilities.BROWSER),
+    audio: has(Capabilities.AUDIO),
+    media: has(Capabilities.MEDIA),
+    otherScreen: !screen &&
+      conv.available.surfaces.capabilities.has(Capabilities.SCREEN),
+  };
+};
+
+/**
+ * Renders the spoken and displayed response telling a fact.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} prefix What to say before the fact
+ * @param {string} text The text of the fact
+ * @param {Object} category The category of the fact from the fact catalog
+ * @return {SimpleResponse} The response.
+ */
+const fact = (conv, prefix, text, category) => {
+  const {screen, audio} = surface(conv);
+  const {sounds} = category;
+  return new SimpleResponse({
+    // Text only surfaces don't speak, so they don't need SSML
+    speech: audio ?
+      ssml.speak(prefix, sounds && ssml.audio(random(sounds)),
+        ssml.sayDates(text, i18n.language(conv.user.locale))) :
+      concat(prefix, text),
+    // Surfaces with a screen show the fact on a card
+    text: screen ? prefix : concat(prefix, text),
+  });
+};
+
+/**
+ * Renders the spoken and displayed response telling facts one after the
+ * other, with the sounds of their category between them.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string=} prefix What to say before the facts, if anything
+ * @param {Array<string>} texts The texts of the facts
+ * @param {Object} category The category of the facts from the fact catalog
+ * @return {SimpleResponse} The response.
+ */
+const sequence = (conv, prefix, texts, category) => {
+  const {sounds} = category;
+  const text = concat(...(prefix ? [prefix] : []).concat(texts));
+  const language = i18n.language(conv.user.locale);
+  const parts = [];
+  texts.forEach((text, i) => {
+    if (i) {
+      parts.push(sounds ? ssml.audio(random(sounds)) :
+        ssml.pause(SEQUENCE_PAUSE));
+    }
+    parts.push(ssml.sayDates(text, language));
+  });
+  return new SimpleResponse({
+    speech: surface(conv).audio ? ssml.speak(prefix, ...parts) : text,
+    text,
+  });
+};
+
+/**
+ * Renders the sound played between the facts of a category said one after
+ * the other, whose end lets them go on. It shows how many facts are left.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Object} category The category from the fact catalog
+ * @param {number} left The number of facts left in the category
+ * @return {MediaObject} The sound.
+ */
+const interlude = (conv, category, left) => new MediaObject({
+  name: category.suggestion,
+  url: category.sounds ? random(category.sounds) :
+    conv.bundle.content.interlude,
+  description: i18n.plural(conv.bundle.browse.factsLeft, left),
+});
+
+/**
+ * Renders the card showing a fact, with a link to learn more if the surface
+ * has a browser.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {string} text The text of the fact
+ * @param {Object} category The category of the fact from the fact catalog
+ * @return {BasicCard} The card.
+ */
+const card = (conv, text, category) => new BasicCard({
+  title: text,
+  image: random(category.images || conv.bundle.content.images),
+  buttons: surface(conv).browser ? new Button({
+    title: conv.bundle.general.linkOut,
+    url: category.link || conv.bundle.content.link,
+  }) : undefined,
+});
+
+/**
+ * Renders the categories to browse on a screen, each with its image and how
+ * many of its facts are left. Selecting one sends its name as the option.
+ * Categories past the most a list can show are left out.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @param {Array<Object>} shown The categories from the fact catalog of the
+ *     user's language, at least two
+ * @param {function(Object): number} left Counts the facts left of a category
+ * @return {Carousel|List} The carousel, or a list if there are too many
+ *     categories for one.
+ */
+const categories = (conv, shown, left) => {
+  const {images} = conv.bundle.content;
+  const items = shown.slice(0, MAX_LIST_ITEMS).reduce((o, category, i) => {
+    // Categories without their own images take turns with the default ones
+    const image = (category.images || [])[0] || images[i % images.length];
+    o[category.category] = {
+      title: category.suggestion,
+      description: i18n.plural(conv.bundle.browse.factsLeft, left(category)),
+      synonyms: [category.name || category.category]
+        .concat(category.synonyms || []),
+      image: new Image({url: image.url, alt: image.accessibilityText}),
+    };
+    return o;
+  }, {});
+  return shown.length > MAX_CAROUSEL_ITEMS ?
+    new List({title: conv.bundle.browse.title, items}) :
+    new Carousel({items});
+};
+
+/**
+ * Renders the request to move the conversation to a surface of the user
+ * with a screen, to show the card of a fact there.
+ * @param {DialogflowConversation} conv DialogflowConversation instance
+ * @return {NewSurface} The request.
+ */
+const newSurface = (conv) => new NewSurface({
+  context: conv.bundle.general.newSurface.context,
+  notification: conv.bundle.general.newSurface.notification,
+  capabilities: [Capabilities.SCREEN, Capabilities.BROWSER],
+});
+
+module.exports = {
+  Capabilities,
+  card,
+  categories,
+  fact,
+  interlude,
+  newSurface,
+  sequence,
+  surface,
+};
@@ -28,30 +28,8 @@
 // eslint-disable-next-line quotes
 const {Suggestions} = require('actions-on-google');
 
-exports.categories = [
-  {
-    "category": "headquarters",
-    "suggestion": "Headquarters",
-    "facts": [
-      "Google's headquarters is in Mountain View, California.",
-      "Google has over 30 cafeterias in its main campus.",
-      "Google has over 10 fitness facilities in its main campus.",
-    ],
-    "factPrefix": "Okay, here's a headquarters fact.",
-  },
-  {
-    "category": "history",
-    "suggestion": "History",
-    "facts": [
-      "Google was founded in 1998.",
-      "Google was founded by Larry Page and Sergey Brin.",
-      "Google went public in 2004.",
-      "Google has more than 70 offices in more than 40 countries.",
-    ],
-    "factPrefix": "Sure, here's a history fact.",
-  },
-];
-
+// The facts of each category and bonus topic live in the fact catalog,
+// see ../facts. Categories without their own images or link use these.
 exports.content = {
   "images": [
     {
@@ -76,49 +54,23 @@ exports.content = {
     },
   ],
   "link": "https://www.google.com/about/",
-};
-
-exports.cats = {
-  "suggestion": "Cats",
-  "facts": [
-    "Cats are animals.",
-    "Cats have nine lives.",
-    "Cats descend from other cats.",
-  ],
-  "images": [
-    {
-      "url": "https://developers.google.com/web/fundamentals/accessibility/semantics-builtin/imgs/" +
-        "160204193356-01-cat-500.jpg",
-      "accessibilityText": "Gray Cat",
-    },
-  ],
-  /**
-   * This sample uses a sound clip from the Actions on Google Sound Library
-   * https://developers.google.com/actions/tools/sound-library
-   */
-  "sounds": [
-    "https://actions.google.com/sounds/v1/animals/cat_purr_close.ogg",
-  ],
-  "link": "https://www.google.com/search?q=cats",
-  "factPrefix": "Alright, here's a cat fact.",
-  "audio": "<audio src=\"%s\"></audio>",
+  /** Played between the facts of categories without sounds of their own */
+  "interlude": "https://actions.google.com/sounds/v1/cartoon/pop.ogg",
 };
 
 exports.transitions = {
   "content": {
     "heardItAll": "Looks like you've heard all there is to know about " +
       "the %s of Google. I could tell you about its %s instead.",
-    "alsoCats": "By the way, I can tell you about cats too.",
-  },
-  "cats": {
-    "heardItAll": "Looks like you've heard all there is to know about cats. " +
-      "Would you like to hear about Google's history or headquarters?",
   },
 };
 
 exports.general = {
   "heardItAll": "Actually it looks like you heard it all. " +
     "Thanks for listening!",
+  /** Used when a request fails, ending the conversation */
+  "apology": "Sorry, something went wrong on my end. Please try again " +
+    "in a little while.",
   /** Used to give responses for no inputs */
   "noInputs": [
     "I didn't hear that.",
@@ -131,13 +83,126 @@ exports.general = {
      * just these suggestions
      */
     "confirmation": new Suggestions("Sure", "No thanks"),
-    "newFact": new Suggestions("History", "Headquarters"),
+    "resetHistory": new Suggestions("Reset my history"),
+    "dailyUpdates": new Suggestions("Send me one every day"),
   },
+  "welcome": "Welcome to Facts about Google! Do you want to hear about " +
+    "Google's %s?",
+  "welcomeBack": "Welcome back to Facts about Google! Do you want to hear " +
+    "more about Google's %s?",
+  "welcomeBackHeardItAll": "Welcome back to Facts about Google! You've " +
+    "already heard every fact I have. Say \"reset my history\" to hear " +
+    "them all again.",
+  /** Used when the user quits, by the number of facts left */
+  "quit": {
+    "0": "Okay, you've heard every fact I have. Thanks for listening!",
+    "1": "Okay, I'll keep my last fact for next time. Bye!",
+    "other": "Okay, I still have %d facts for next time. Bye!",
+  },
+  /** Used to give escalating responses when the user isn't understood */
+  "fallbacks": [
+    "Sorry, what was that? Could you say it another way?",
+    "Sorry, I still didn't get that. I can tell you about Google's %s.",
+    "I'm sorry, I'm having trouble understanding. Let's talk again " +
+      "later. Bye!",
+  ],
+  "historyReset": "Okay, I forgot every fact I told you. Would you like " +
+    "to hear about Google's %s?",
+  /** Used when the user heard every fact of a bonus topic */
+  "otherCategories": "I can tell you about Google's %s instead.",
   "nextFact": "Would you like to hear another fact?",
+  "previousFact": "Here's the fact before that.",
+  "firstFact": "Sure, here's the first fact I told you.",
+  "noPreviousFact": "That was the first fact I told you. Would you like " +
+    "to hear another fact?",
+  "noFactsYet": "I haven't told you any facts yet.",
+  "factOfTheDay": "Here's today's Google fact.",
+  /** Used when the user signs up for a fact every day, or doesn't */
+  "dailyUpdates": {
+    "registered": "Okay, I'll send you a Google fact every day.",
+    "declined": "Okay, no daily facts then.",
+  },
   "linkOut": "Learn more",
+  /** Used to move the conversation to a phone to show a card and link */
+  "newSurface": {
+    "context": "To show you this fact and where to learn more",
+    "notification": "A fact about Google",
+  },
   "wantWhat": "So what would you like to hear about?",
+  "unknownCategory": "Sorry, I don't have facts about that. I can " +
+    "tell you about Google's %s.",
+  "list": {
+    "separator": ", ",
+    "lastSeparator": " or ",
+  },
   "unhandled": "Welcome to Facts about Google! I'd really rather not " +
-    "talk about %s. Wouldn't you rather talk about Google? I can " +
-    "tell you about Google's history or its headquarters. Which " +
-    "do you want to hear about?",
+    "talk about %1$s. Wouldn't you rather talk about Google? I can " +
+    "tell you about Google's %2$s. Which do you want to hear about?",
+};
+
+/** Used to browse the categories on a carousel, or a list if they're many */
+exports.browse = {
+  "intro": "Here's what I can tell you about. Which one do you want?",
+  /** Used instead on surfaces without a screen */
+  "spoken": "I can tell you about Google's %s.",
+  "title": "Facts about Google",
+  /** Shown on every category, by the number of its facts left */
+  "factsLeft": {
+    "1": "1 fact left",
+    "other": "%d facts left",
+  },
+};
+
+/** Used to tell every fact left of a category one after the other */
+exports.everything = {
+  "start": "Okay, here are all my %s facts.",
+  "stopped": "Okay, I'll stop there.",
+  "suggestions": {
+    "stop": new Suggestions("Stop"),
+  },
+};
+
+/** Used by the quiz, see ./quiz.js */
+exports.quiz = {
+  "start": "Okay, let's see what you know about Google's %s.",
+  "next": "Here's the next one.",
+  /** Used to ask a fact with its number blanked out */
+  "fillIn": "Fill in the blank: %s",
+  "blank": "blank",
+  "right": "That's right! %s",
+  "wrong": "Not quite.",
+  "tryAgain": "Try again.",
+  /** Used when the user didn't find the answer after a hint, with the fact */
+  "reveal": "Not quite. %s",
+  "hints": {
+    "startsWith": "Here's a hint: it starts with %s.",
+    "year": {
+      "higher": "Here's a hint: it's later than that.",
+      "lower": "Here's a hint: it's earlier than that.",
+      "number": "Here's a hint: it's a year.",
+    },
+    "count": {
+      "higher": "Here's a hint: it's more than that.",
+      "lower": "Here's a hint: it's less than that.",
+      "number": "Here's a hint: it's a number.",
+    },
+  },
+  "outOfQuestions": "That's all my questions about Google's %s.",
+  "otherCategories": "I can also quiz you on Google's %s. Which one do " +
+    "you want?",
+  "noQuestions": "Sorry, I don't have questions about that. I can quiz " +
+    "you on Google's %s.",
+  "noQuiz": "Sorry, I don't have any questions for now.",
+  /** Used when the quiz ends, by the number of right answers */
+  "score": {
+    "0": "You didn't get any right this time.",
+    "1": "You got 1 out of %2$d right.",
+    "other": "You got %1$d out of %2$d right.",
+  },
+  "thanks": "Thanks for playing!",
+  /** Suggestion chip starting a quiz about a category */
+  "suggestion": "%s quiz",
+  "suggestions": {
+    "stop": new Suggestions("Stop the quiz"),
+  },
 };
@@ -0,0 +1,54 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Regenerates the category entity and the training phrases choosing a
+// category in agent.zip from the fact catalog, and shows how they differ from
+// the export. With --check, only shows the differences and exits with an
+// error if there are any.
+// Usage: npm run build-agent [-- --check] [-- path/to/out.zip]
+'use strict';
+
+const path = require('path');
+const agents = require('./lib/agent');
+const catalog = require('../catalog');
+const generate = require('./lib/generate');
+const {diff} = require('./lib/diff');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const check = args.includes('--check');
+  const out = args.find((arg) => !arg.startsWith('--')) || agents.AGENT_ZIP;
+  const files = generate.files(await catalog.load(catalog.source(
+    process.env.FACTS_CATALOG || path.join(__dirname, '..', 'facts'))));
+  let changed = 0;
+  for (const name of Object.keys(files)) {
+    const changes = diff(agents.readFile(name) || '', files[name]);
+    if (changes) {
+      changed++;
+      console.log(`--- ${name}\n${changes}`);
+    }
+  }
+  if (check) {
+    console.log(changed ? `${changed} files differ from the catalog.` :
+      'The agent is up to date with the catalog.');
+    process.exitCode = changed ? 1 : 0;
+    return;
+  }
+  agents.writeFiles(files, agents.AGENT_ZIP, out);
+  console.log(`Wrote ${out}, ${changed} files changed.`);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
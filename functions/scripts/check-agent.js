@@ -0,0 +1,47 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Lists what doesn't match between agent.zip and the fulfillment, like
+// intents or contexts renamed on one side only, and exits with an error if
+// anything doesn't. Usage: npm run check-agent [-- path/to/agent.zip]
+'use strict';
+
+const path = require('path');
+const agents = require('./lib/agent');
+const catalog = require('../catalog');
+const {testApp, AppContexts} = require('../index');
+
+const main = async () => {
+  const agent = agents.read(process.argv[2] || agents.AGENT_ZIP);
+  const problems = agents.check(agent, {
+    // The actions-on-google library keeps handlers by intent name
+    intents: Object.keys(testApp._handlers.intents),
+    contexts: Object.values(AppContexts),
+    catalog: await catalog.load(catalog.source(
+      process.env.FACTS_CATALOG || path.join(__dirname, '..', 'facts'))),
+  });
+  for (const problem of problems) {
+    console.log(problem);
+  }
+  if (problems.length) {
+    console.log(`${problems.length} problems between the agent and the code.`);
+    process.exitCode = 1;
+  } else {
+    console.log('The agent matches the code.');
+  }
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,33 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Lists the keys every locale bundle is missing compared to English and exits
+// with an error if there are any. Usage: npm run check-locales
+'use strict';
+
+const i18n = require('../i18n');
+
+let missing = 0;
+for (const language of i18n.Languages) {
+  const keys = i18n.missingKeys(i18n.bundles[language]);
+  missing += keys.length;
+  for (const key of keys) {
+    console.log(`${language}: missing ${key}`);
+  }
+}
+if (missing) {
+  console.log(`${missing} keys missing, English will be used instead.`);
+  process.exitCode = 1;
+} else {
+  console.log('Every locale bundle has every key.');
+}
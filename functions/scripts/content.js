@@ -0,0 +1,224 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Lists and edits the categories, facts, images, sounds and links of the fact
+// catalog, and checks it. Edits are only written if the catalog still loads,
+// and show how the files changed. Usage: npm run content -- help
+'use strict';
+
+const path = require('path');
+const content = require('./lib/content');
+const i18n = require('../i18n');
+const {diff} = require('./lib/diff');
+
+const USAGE = `Usage: npm run content -- <command> [--lang <language>]
+
+  list                               Lists the categories.
+  list <category>                    Lists the facts, images, sounds and link
+                                     of a category.
+  check                              Checks the catalog: duplicate facts,
+                                     missing alt text, facts too long to be
+                                     card titles.
+  add-category <category> --suggestion <chip> --prefix <text> --fact <text>
+      [--name <name>]                Adds a category with its first fact.
+  edit-category <category> [--name <name>] [--suggestion <chip>]
+      [--prefix <text>]
+  remove-category <category>
+  add-fact <category> <text> [--id <id>]
+  edit-fact <id> <text>
+  remove-fact <id>
+  add-image <category> <url> --alt <text>
+  remove-image <category> <url>
+  add-sound <category> <url>
+  remove-sound <category> <url>
+  set-link <category> <url>
+  remove-link <category>
+
+Edits the English catalog unless --lang names another language. Removing an
+English category or fact also removes its translations. The catalog is the
+directory FACTS_CATALOG names, functions/facts by default.`;
+
+/**
+ * Splits the arguments into positional ones and --options.
+ * @param {Array<string>} args The arguments.
+ * @return {{positional: Array<string>, options: Object<string, string>}}
+ *     The arguments.
+ */
+const parse = (args) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return {positional, options};
+};
+
+/**
+ * Gets an option the command needs.
+ * @param {Object<string, string>} options The options.
+ * @param {string} name The name of the option.
+ * @return {string} The value of the option.
+ */
+const required = (options, name) => {
+  if (!options[name]) {
+    throw new Error(`--${name} is required\n\n${USAGE}`);
+  }
+  return options[name];
+};
+
+/**
+ * Prints the categories of a language, or the content of one.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string=} name The name of a category.
+ * @return {void}
+ */
+const list = (workspace, language, name) => {
+  if (!name) {
+    for (const {source, data} of workspace.languages[language] || []) {
+      console.log(`${data.category}\t${(data.facts || []).length} facts\t` +
+        path.relative(process.cwd(), source));
+    }
+    return;
+  }
+  const {data} = content.category(workspace, language, name);
+  console.log(`${data.category}: ${data.name || data.category}, ` +
+    `suggested as "${data.suggestion}"\n${data.factPrefix}`);
+  for (const fact of data.facts || []) {
+    console.log(`  ${fact.id}\t${fact.text}`);
+  }
+  for (const image of data.images || []) {
+    console.log(`  image\t${image.url}\t${image.accessibilityText}`);
+  }
+  for (const sound of data.sounds || []) {
+    console.log(`  sound\t${sound}`);
+  }
+  if (data.link) {
+    console.log(`  link\t${data.link}`);
+  }
+};
+
+/**
+ * The commands editing the catalog, with how many positional arguments they
+ * take after the command. Edits take the workspace, the language, the
+ * positional arguments and the options, and can return a message to print
+ * once the edit is written.
+ */
+const Edits = {
+  'add-category': {args: 1, edit: (workspace, language, [name], options) => {
+    const data = {category: name};
+    if (options.name) {
+      data.name = options.name;
+    }
+    data.suggestion = required(options, 'suggestion');
+    data.factPrefix = required(options, 'prefix');
+    content.addCategory(workspace, language, data);
+    content.addFact(workspace, language, name, required(options, 'fact'),
+      options.id);
+  }},
+  'edit-category': {args: 1, edit: (workspace, language, [name], options) => {
+    const {data} = content.category(workspace, language, name);
+    const keys = {name: 'name', suggestion: 'suggestion', prefix: 'factPrefix'};
+    for (const option of Object.keys(keys)) {
+      if (options[option]) {
+        data[keys[option]] = options[option];
+      }
+    }
+  }},
+  'remove-category': {args: 1, edit: (workspace, language, [name]) => {
+    content.removeCategory(workspace, language, name);
+  }},
+  'add-fact': {args: 2, edit: (workspace, language, [name, text], options) =>
+    `Added fact ${content.addFact(workspace, language, name, text,
+      options.id).id}`},
+  'edit-fact': {args: 2, edit: (workspace, language, [id, text]) => {
+    content.editFact(workspace, language, id, text);
+  }},
+  'remove-fact': {args: 1, edit: (workspace, language, [id]) => {
+    content.removeFact(workspace, language, id);
+  }},
+  'add-image': {args: 2, edit: (workspace, language, [name, url], options) =>
+    content.addImage(workspace, language, name, url,
+      required(options, 'alt'))},
+  'remove-image': {args: 2, edit: (workspace, language, [name, url]) =>
+    content.removeImage(workspace, language, name, url)},
+  'add-sound': {args: 2, edit: (workspace, language, [name, url]) =>
+    content.addSound(workspace, language, name, url)},
+  'remove-sound': {args: 2, edit: (workspace, language, [name, url]) =>
+    content.removeSound(workspace, language, name, url)},
+  'set-link': {args: 2, edit: (workspace, language, [name, url]) =>
+    content.setLink(workspace, language, name, url)},
+  'remove-link': {args: 1, edit: (workspace, language, [name]) =>
+    content.setLink(workspace, language, name)},
+};
+
+const main = async () => {
+  const {positional, options} = parse(process.argv.slice(2));
+  const [command, ...args] = positional;
+  const language = options.lang || i18n.DEFAULT_LANGUAGE;
+  const workspace = await content.read(process.env.FACTS_CATALOG ||
+    path.join(__dirname, '..', 'facts'));
+  if (command === 'list') {
+    return list(workspace, language, args[0]);
+  }
+  if (command === 'check') {
+    const problems = await content.check(workspace);
+    problems.forEach((problem) => console.log(problem));
+    console.log(problems.length ? `${problems.length} problems found.` :
+      'The catalog has no problems.');
+    process.exitCode = problems.length ? 1 : 0;
+    return;
+  }
+  if (!Edits[command]) {
+    console.log(USAGE);
+    process.exitCode = command && command !== 'help' ? 1 : 0;
+    return;
+  }
+  if (args.length !== Edits[command].args) {
+    throw new Error(`${command} takes ${Edits[command].args} arguments, ` +
+      `quote the ones with spaces\n\n${USAGE}`);
+  }
+  // Only refuse the problems the edit makes, not the ones already there
+  const before = await content.check(workspace);
+  const done = Edits[command].edit(workspace, language, args, options);
+  const problems = (await content.check(workspace))
+    .filter((problem) => !before.includes(problem));
+  if (problems.length) {
+    problems.forEach((problem) => console.log(problem));
+    console.log('Nothing was written, the edit would make ' +
+      `${problems.length} problems.`);
+    process.exitCode = 1;
+    return;
+  }
+  const files = content.write(workspace);
+  for (const file of Object.keys(files)) {
+    console.log(`--- ${path.relative(process.cwd(), file)}\n` +
+      diff(files[file].before, files[file].after));
+  }
+  console.log(`${Object.keys(files).length} files changed.`);
+  if (done) {
+    console.log(done);
+  }
+  if (['add-category', 'remove-category'].includes(command)) {
+    console.log('Run npm run build-agent to update the agent.');
+  }
+};
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,47 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Reports the funnel of conversations from analytics events, as written by
+// the file or stdout sinks. Lines that aren't events are left out, so logs
+// can be piped in as they are.
+// Usage: npm run funnel -- events.jsonl, or pipe the events in
+'use strict';
+
+const fs = require('fs');
+const analytics = require('../analytics');
+
+/**
+ * Formats counts by key, the largest first.
+ * @param {Object<string, number>} counts The counts.
+ * @return {string} The counts, one per line.
+ */
+const table = (counts) => Object.keys(counts)
+  .sort((a, b) => counts[b] - counts[a])
+  .map((key) => `  ${key}: ${counts[key]}`)
+  .join('\n') || '  none';
+
+const text = fs.readFileSync(process.argv[2] || 0, 'utf8');
+const report = analytics.funnel(analytics.parse(text));
+console.log(`Conversations: ${report.conversations}`);
+console.log('Funnel:');
+for (const step of report.steps) {
+  const share = `${Math.round(step.share * 100)}%`;
+  console.log(`  ${step.event}: ${step.conversations} (${share})`);
+}
+console.log(`Categories chosen:\n${table(report.chosen)}`);
+console.log(`Facts delivered:\n${table(report.delivered)}`);
+console.log(`Categories exhausted:\n${table(report.exhausted)}`);
+console.log(`Redirects offered: ${report.redirects}`);
+console.log(`Cross-promoted topics accepted: ${report.topicsAccepted}`);
+console.log(`Closed by:\n${table(report.closed)}`);
+console.log(`Facts heard before leaving:\n${table(report.factsBeforeClose)}`);
@@ -0,0 +1,192 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Reads the Dialogflow agent export, agent.zip at the root of the repo.
+ * Every intent is read along with its training phrases and every entity
+ * along with its entries. The export can also be checked against the
+ * fulfillment, since a rename on either side only fails at runtime.
+ */
+const AdmZip = require('adm-zip');
+const path = require('path');
+
+/** The agent export of the repo */
+const AGENT_ZIP = path.join(__dirname, '..', '..', '..', 'agent.zip');
+
+/** The entity whose values are the names of the main fact categories */
+const CATEGORY_ENTITY = 'fact-category';
+
+/**
+ * @typedef Agent
+ * @property {Object} agent The settings of the agent, from agent.json.
+ * @property {Array<Object>} intents The intents, each with its training
+ *     phrases in usersays.
+ * @property {Array<Object>} entities The entities, each with its entries
+ *     in entries.
+ */
+
+/**
+ * Reads an agent export.
+ * @param {string=} file The path of the export, defaults to the one of the
+ *     repo.
+ * @param {string=} lang The language of the training phrases and entries.
+ * @return {Agent} The agent.
+ */
+const read = (file = AGENT_ZIP, lang = 'en') => {
+  const zip = new AdmZip(file);
+  const json = (name) => {
+    const entry = zip.getEntry(name);
+    return entry ? JSON.parse(entry.getData().toString('utf8')) : undefined;
+  };
+  // Lists the files of a directory, leaving out the ones of another
+  // language and the training phrases or entries, which are read along
+  // with their intent or entity
+  const files = (dir) => zip.getEntries()
+    .map((entry) => entry.entryName)
+    .filter((name) => name.startsWith(dir) && name.endsWith('.json') &&
+      !/_(usersays|entries)_[a-z-]+\.json$/.test(name));
+  const sibling = (name, kind) =>
+    name.replace(/\.json$/, `_${kind}_${lang}.json`);
+  return {
+    agent: json('agent.json'),
+    intents: files('intents/').map((name) => Object.assign(json(name), {
+      usersays: json(sibling(name, 'usersays')) || [],
+    })),
+    entities: files('entities/').map((name) => Object.assign(json(name), {
+      entries: json(sibling(name, 'entries')) || [],
+    })),
+  };
+};
+
+/**
+ * Reads a file of an agent export as is.
+ * @param {string} name The path of the file in the export.
+ * @param {string=} file The path of the export, defaults to the one of the
+ *     repo.
+ * @return {string|undefined} The content, if the export has the file.
+ */
+const readFile = (name, file = AGENT_ZIP) => {
+  const entry = new AdmZip(file).getEntry(name);
+  return entry ? entry.getData().toString('utf8') : undefined;
+};
+
+/**
+ * Writes files to an agent export, keeping the others as they are.
+ * @param {Object<string, string>} files The content of the files by path.
+ * @param {string=} file The path of the export, defaults to the one of the
+ *     repo.
+ * @param {string=} out Where to write the new export, defaults to file.
+ */
+const writeFiles = (files, file = AGENT_ZIP, out = file) => {
+  const zip = new AdmZip(file);
+  for (const name of Object.keys(files)) {
+    zip.addFile(name, Buffer.from(files[name], 'utf8'));
+  }
+  zip.writeZip(out);
+};
+
+/**
+ * Formats JSON the way Dialogflow exports it, so regenerated files only
+ * differ from exported ones where their content does.
+ * @param {*} value The value.
+ * @return {string} The JSON.
+ */
+const toJson = (value) => JSON.stringify(value, null, 2)
+  // Characters that never appear outside of strings in JSON
+  .replace(/[<>&=']/g, (c) => `\\u00${c.charCodeAt(0).toString(16)}`);
+
+/**
+ * @typedef Fulfillment
+ * @property {Array<string>} intents The intents with a handler, besides
+ *     the ones of bonus topics.
+ * @property {Array<string>} contexts The contexts the code sets or reads,
+ *     besides the ones of bonus topics.
+ * @property {Catalog} catalog The fact catalog.
+ */
+
+/**
+ * Lists what doesn't match between an agent and its fulfillment: intents
+ * handled but missing from the agent, intents calling the webhook with no
+ * handler, handled intents that don't call the webhook, values of the
+ * category entity and main categories that don't match, and contexts of
+ * the code that no intent uses.
+ * @param {Agent} agent The agent, as read.
+ * @param {Fulfillment} fulfillment What the fulfillment handles.
+ * @return {Array<string>} The problems, empty if they match.
+ */
+const check = (agent, fulfillment) => {
+  const problems = [];
+  const {catalog} = fulfillment;
+  // Bonus topics are served by the fallback handler, by intent, and set
+  // their own context
+  const topics = catalog.topics().map((c) => c.topic);
+  const topicIntents = [].concat(...topics.map((topic) => topic.intents));
+  const handled = fulfillment.intents.concat(topicIntents);
+  const intents = {};
+  for (const intent of agent.intents) {
+    intents[intent.name] = intent;
+  }
+  for (const name of handled) {
+    const intent = intents[name];
+    if (!intent) {
+      problems.push(`intent ${name} is handled but not in the agent`);
+    } else if (!intent.webhookUsed) {
+      problems.push(`intent ${name} is handled but doesn't use the webhook`);
+    }
+  }
+  for (const intent of agent.intents) {
+    if (intent.webhookUsed && !handled.includes(intent.name)) {
+      problems.push(`intent ${intent.name} uses the webhook but isn't handled`);
+    }
+  }
+  const entity = agent.entities.find((e) => e.name === CATEGORY_ENTITY);
+  const values = entity ? entity.entries.map((entry) => entry.value) : [];
+  const categories = catalog.mainCategories().map((c) => c.category);
+  if (!entity) {
+    problems.push(`entity ${CATEGORY_ENTITY} is not in the agent`);
+  }
+  for (const value of values.filter((v) => !categories.includes(v))) {
+    problems.push(`${CATEGORY_ENTITY} value ${value} is not a category`);
+  }
+  for (const category of categories.filter((c) => entity &&
+    !values.includes(c))) {
+    problems.push(`category ${category} is not a ${CATEGORY_ENTITY} value`);
+  }
+  // Dialogflow lowercases context names, so the code has to use them so
+  const contexts = [];
+  for (const intent of agent.intents) {
+    contexts.push(...intent.contexts);
+    for (const response of intent.responses) {
+      contexts.push(...response.affectedContexts.map((c) => c.name));
+    }
+  }
+  const used = fulfillment.contexts.concat(topics.map((t) => t.context));
+  for (const context of used) {
+    if (!contexts.includes(context)) {
+      problems.push(`context ${context} is not used by any intent`);
+    }
+  }
+  return problems;
+};
+
+module.exports = {
+  AGENT_ZIP,
+  CATEGORY_ENTITY,
+  check,
+  read,
+  readFile,
+  toJson,
+  writeFiles,
+};
@@ -0,0 +1,551 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Edits the fact catalog of a local directory, see ../../catalog. The
+ * categories of every language are read into a workspace, edited in memory,
+ * checked and written back with their keys in schema order, so that the
+ * files only change where they were edited.
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const catalog = require('../../catalog');
+const schema = require('../../catalog/schema');
+const i18n = require('../../i18n');
+
+/**
+ * Longest fact checked, in characters. Facts are the titles of the cards
+ * showing them, which phones cut off past a couple of lines.
+ */
+const MAX_CARD_TITLE = 80;
+
+/**
+ * @typedef Entry
+ * @property {string} source The file of the category.
+ * @property {Object} data The category.
+ */
+
+/**
+ * @typedef Workspace
+ * @property {string} dir The directory of the catalog.
+ * @property {Object<string, Array<Entry>>} languages The categories of every
+ *     language with a catalog, by language, the base language included.
+ * @property {Array<string>} removed The files of the removed categories.
+ */
+
+/**
+ * Reads the catalog of every language from a directory.
+ * @param {string} dir The directory of the catalog.
+ * @return {Promise<Workspace>} The workspace.
+ */
+const read = async (dir) => {
+  const languages = {};
+  const base = catalog.sources.directory(dir);
+  for (const language of i18n.Languages) {
+    const source = language === i18n.DEFAULT_LANGUAGE ? base :
+      base.locale(language);
+    const entries = await source.load();
+    if (entries.length || language === i18n.DEFAULT_LANGUAGE) {
+      languages[language] = entries;
+    }
+  }
+  return {dir, languages, removed: []};
+};
+
+/**
+ * Copies a value with the keys of its objects in the order of a schema, keys
+ * the schema doesn't know coming last in name order.
+ * @param {*} value The value.
+ * @param {Object} valueSchema The schema of the value.
+ * @return {*} The ordered copy.
+ */
+const ordered = (value, valueSchema) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => ordered(item, valueSchema && valueSchema.items));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const properties = (valueSchema && valueSchema.properties) || {};
+  const known = Object.keys(properties).filter((key) => key in value);
+  const unknown = Object.keys(value).filter((key) => !(key in properties))
+    .sort();
+  return known.concat(unknown).reduce((o, key) => {
+    o[key] = ordered(value[key], properties[key]);
+    return o;
+  }, {});
+};
+
+/**
+ * Formats a category the way its file is written, as JSON or YAML depending
+ * on the extension of the file.
+ * @param {Entry} entry The category.
+ * @return {string} The text of the file.
+ */
+const format = ({source, data}) => {
+  const value = ordered(data, schema.category);
+  return /\.ya?ml$/.test(source) ?
+    yaml.safeDump(value, {lineWidth: -1, noRefs: true}) :
+    `${JSON.stringify(value, null, 2)}\n`;
+};
+
+/**
+ * Lists the files whose text would change by writing a workspace.
+ * @param {Workspace} workspace The workspace.
+ * @return {Object<string, {before: string, after: string}>} The old and new
+ *     texts by file, the new one empty for removed categories.
+ */
+const changes = (workspace) => {
+  const files = {};
+  for (const source of workspace.removed) {
+    if (fs.existsSync(source)) {
+      files[source] = {before: fs.readFileSync(source, 'utf8'), after: ''};
+    }
+  }
+  for (const language of Object.keys(workspace.languages)) {
+    for (const entry of workspace.languages[language]) {
+      const before = fs.existsSync(entry.source) ?
+        fs.readFileSync(entry.source, 'utf8') : '';
+      const after = format(entry);
+      if (before !== after) {
+        files[entry.source] = {before, after};
+      }
+    }
+  }
+  return files;
+};
+
+/**
+ * Writes the changed files of a workspace and removes the files of the
+ * removed categories.
+ * @param {Workspace} workspace The workspace.
+ * @return {Object<string, {before: string, after: string}>} The files
+ *     written or removed, see changes().
+ */
+const write = (workspace) => {
+  const files = changes(workspace);
+  for (const file of Object.keys(files)) {
+    if (files[file].after) {
+      if (!fs.existsSync(path.dirname(file))) {
+        fs.mkdirSync(path.dirname(file));
+      }
+      fs.writeFileSync(file, files[file].after);
+    } else {
+      fs.unlinkSync(file);
+    }
+  }
+  workspace.removed = [];
+  return files;
+};
+
+/**
+ * Normalizes a fact to compare it with others, ignoring case, accents,
+ * punctuation and spacing.
+ * @param {string} text The text of the fact.
+ * @return {string} The normalized text.
+ */
+const normalize = (text) => text.toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\s.,;:!?¿¡'"“”‘’()、。，！？「」-]+/g, ' ')
+  .trim();
+
+/**
+ * Lists the problems of the categories of one language that don't keep them
+ * from loading: duplicate facts, images without alt text and facts too long
+ * to be card titles.
+ * @param {Array<Entry>} entries The categories.
+ * @param {string} language The language, to tell where the problems are.
+ * @return {Array<string>} The problems.
+ */
+const lint = (entries, language) => {
+  const problems = [];
+  const seen = {};
+  for (const {source, data} of entries) {
+    for (const fact of data.facts || []) {
+      const text = normalize(fact.text || '');
+      if (seen[text]) {
+        problems.push(`${language}: fact ${fact.id} duplicates ${seen[text]}`);
+      } else if (text) {
+        seen[text] = fact.id;
+      }
+      if ((fact.text || '').length > MAX_CARD_TITLE) {
+        problems.push(`${language}: fact ${fact.id} is ` +
+          `${fact.text.length} characters long, card titles should be at ` +
+          `most ${MAX_CARD_TITLE}`);
+      }
+    }
+    (data.images || []).forEach((image, i) => {
+      if (!image.accessibilityText || !image.accessibilityText.trim()) {
+        problems.push(`${language}: image ${i + 1} of ${source} has no ` +
+          'alt text (accessibilityText)');
+      }
+    });
+  }
+  return problems;
+};
+
+/**
+ * Checks a workspace: every language has to load the way the fulfillment
+ * loads it, and shouldn't have any of the problems lint() finds. Other
+ * languages are only loaded once the base one does.
+ * @param {Workspace} workspace The workspace.
+ * @return {Promise<Array<string>>} The problems, empty if there are none.
+ */
+const check = async (workspace) => {
+  const base = workspace.languages[i18n.DEFAULT_LANGUAGE];
+  const problems = catalog.validate(base)
+    .map((error) => `${i18n.DEFAULT_LANGUAGE}: ${error}`);
+  for (const language of Object.keys(workspace.languages)) {
+    const entries = workspace.languages[language];
+    if (language !== i18n.DEFAULT_LANGUAGE && !problems.length) {
+      try {
+        await catalog.loadLocales({
+          load: async () => base,
+          locale: () => ({load: async () => entries}),
+        }, i18n.DEFAULT_LANGUAGE, [language]);
+      } catch (e) {
+        problems.push(...e.message.split('\n').slice(1)
+          .map((line) => `${language}: ${line.trim()}`));
+      }
+    }
+    problems.push(...lint(entries, language));
+  }
+  return problems;
+};
+
+/**
+ * Finds a category of a language.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} name The name of the category, like history.
+ * @return {Entry} The category.
+ */
+const category = (workspace, language, name) => {
+  const entry = (workspace.languages[language] || [])
+    .find(({data}) => data.category === name);
+  if (!entry) {
+    throw new Error(`There is no ${language} category ${name}`);
+  }
+  return entry;
+};
+
+/**
+ * Finds a fact of a language by id.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} id The id of the fact.
+ * @return {{entry: Entry, index: number}} The category of the fact and its
+ *     index in the category.
+ */
+const fact = (workspace, language, id) => {
+  for (const entry of workspace.languages[language] || []) {
+    const index = (entry.data.facts || []).findIndex((f) => f.id === id);
+    if (index >= 0) {
+      return {entry, index};
+    }
+  }
+  throw new Error(`There is no ${language} fact ${id}`);
+};
+
+/**
+ * Gets the categories of a language, starting its catalog if it has none.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @return {Array<Entry>} The categories.
+ */
+const entriesOf = (workspace, language) => {
+  if (!i18n.Languages.includes(language)) {
+    throw new Error(`Unknown language ${language}, expected one of ` +
+      i18n.Languages.join(', '));
+  }
+  if (!workspace.languages[language]) {
+    workspace.languages[language] = [];
+  }
+  return workspace.languages[language];
+};
+
+/**
+ * Adds a category, in a new JSON file named after it.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {Object} data The category.
+ * @return {Entry} The category added.
+ */
+const addCategory = (workspace, language, data) => {
+  const entries = entriesOf(workspace, language);
+  if (entries.some((entry) => entry.data.category === data.category)) {
+    throw new Error(`There already is a ${language} category ` +
+      data.category);
+  }
+  const dir = language === i18n.DEFAULT_LANGUAGE ? workspace.dir :
+    path.join(workspace.dir, language);
+  const entry = {source: path.join(dir, `${data.category}.json`), data};
+  entries.push(entry);
+  workspace.removed = workspace.removed.filter((s) => s !== entry.source);
+  return entry;
+};
+
+/**
+ * Removes a category. Removing one of the base language also removes its
+ * translations.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} name The name of the category.
+ * @return {Array<string>} The files of the categories removed.
+ */
+const removeCategory = (workspace, language, name) => {
+  category(workspace, language, name);
+  const languages = language === i18n.DEFAULT_LANGUAGE ?
+    Object.keys(workspace.languages) : [language];
+  const removed = [];
+  for (const l of languages) {
+    workspace.languages[l] = workspace.languages[l].filter((entry) => {
+      if (entry.data.category !== name) {
+        return true;
+      }
+      removed.push(entry.source);
+      return false;
+    });
+  }
+  workspace.removed.push(...removed);
+  return removed;
+};
+
+/**
+ * Makes up the id of a new fact from its category and its first words, like
+ * history-google-went-public. Ids in use are never made up again, and
+ * neither should be the ids of removed facts, which user histories may still
+ * hold.
+ * @param {Workspace} workspace The workspace.
+ * @param {Entry} entry The category of the fact.
+ * @param {string} text The text of the fact.
+ * @return {string} The id.
+ */
+const newFactId = (workspace, entry, text) => {
+  const used = new Set();
+  for (const language of Object.keys(workspace.languages)) {
+    for (const {data} of workspace.languages[language]) {
+      (data.facts || []).forEach((f) => used.add(f.id));
+    }
+  }
+  // Follow the prefix of the facts already there, like hq for headquarters
+  const first = (entry.data.facts || [])[0];
+  const prefix = first ? first.id.split('-')[0] : entry.data.category
+    .replace(/[^a-z0-9]+/g, '-');
+  const words = normalize(text.replace(/['’]/g, '')).replace(/[^a-z0-9 ]/g, '')
+    .split(/\s+/).filter((word) => word).slice(0, 4);
+  const base = [prefix].concat(words.length ? words : ['fact']).join('-');
+  let id = base;
+  for (let n = 2; used.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
+
+/**
+ * Adds a fact at the end of a category. Facts of other languages are
+ * translations, which have to reuse the id of the fact they translate. Only
+ * the translated facts of a category are told in its language.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} name The name of the category.
+ * @param {string} text The text of the fact.
+ * @param {string=} id The id of the fact, made up from its text by default.
+ * @return {Object} The fact added.
+ */
+const addFact = (workspace, language, name, text, id) => {
+  if (language !== i18n.DEFAULT_LANGUAGE) {
+    if (!id) {
+      throw new Error('Translated facts need the id of the fact they ' +
+        'translate');
+    }
+    // The first translated fact of a category starts its translation
+    const translated = (workspace.languages[language] || [])
+      .some(({data}) => data.category === name);
+    if (!translated) {
+      category(workspace, i18n.DEFAULT_LANGUAGE, name);
+      addCategory(workspace, language, {category: name});
+    }
+  }
+  const entry = category(workspace, language, name);
+  const added = {id: id || newFactId(workspace, entry, text), text};
+  entry.data.facts = (entry.data.facts || []).concat(added);
+  return added;
+};
+
+/**
+ * Changes the text of a fact, keeping its id.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} id The id of the fact.
+ * @param {string} text The new text of the fact.
+ * @return {Object} The fact edited.
+ */
+const editFact = (workspace, language, id, text) => {
+  const {entry, index} = fact(workspace, language, id);
+  const edited = entry.data.facts[index];
+  edited.text = text;
+  return edited;
+};
+
+/**
+ * Removes a fact. Removing one of the base language also removes its
+ * translations.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} id The id of the fact.
+ * @return {Object} The fact removed.
+ */
+const removeFact = (workspace, language, id) => {
+  const {entry, index} = fact(workspace, language, id);
+  const [removed] = entry.data.facts.splice(index, 1);
+  if (language === i18n.DEFAULT_LANGUAGE) {
+    for (const l of Object.keys(workspace.languages)) {
+      for (const {data} of workspace.languages[l]) {
+        if (data.facts) {
+          data.facts = data.facts.filter((f) => f.id !== id);
+        }
+      }
+    }
+  }
+  return removed;
+};
+
+/**
+ * Adds an item to a list of a category, like its images.
+ * @param {Entry} entry The category.
+ * @param {string} key The key of the list.
+ * @param {*} item The item.
+ * @param {function(*): string} keyOf Gets what tells items apart.
+ * @return {void}
+ */
+const addTo = (entry, key, item, keyOf) => {
+  const items = entry.data[key] || [];
+  if (items.some((i) => keyOf(i) === keyOf(item))) {
+    throw new Error(`${entry.data.category} already has ${key} ${keyOf(item)}`);
+  }
+  entry.data[key] = items.concat(item);
+};
+
+/**
+ * Removes an item from a list of a category, and the list once empty.
+ * @param {Entry} entry The category.
+ * @param {string} key The key of the list.
+ * @param {string} value What tells the item apart.
+ * @param {function(*): string} keyOf Gets what tells items apart.
+ * @return {void}
+ */
+const removeFrom = (entry, key, value, keyOf) => {
+  const items = entry.data[key] || [];
+  if (!items.some((i) => keyOf(i) === value)) {
+    throw new Error(`${entry.data.category} has no ${key} ${value}`);
+  }
+  entry.data[key] = items.filter((i) => keyOf(i) !== value);
+  if (!entry.data[key].length) {
+    delete entry.data[key];
+  }
+};
+
+/**
+ * Adds an image to the cards of a category.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} name The name of the category.
+ * @param {string} url The URL of the image.
+ * @param {string} accessibilityText The alt text of the image.
+ * @return {void}
+ */
+const addImage = (workspace, language, name, url, accessibilityText) => {
+  if (!accessibilityText || !accessibilityText.trim()) {
+    throw new Error('Images need alt text, for users who can\'t see them');
+  }
+  addTo(category(workspace, language, name), 'images',
+    {url, accessibilityText}, (image) => image.url);
+};
+
+/**
+ * Removes an image from the cards of a category.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} name The name of the category.
+ * @param {string} url The URL of the image.
+ * @return {void}
+ */
+const removeImage = (workspace, language, name, url) =>
+  removeFrom(category(workspace, language, name), 'images', url,
+    (image) => image.url);
+
+/**
+ * Adds a sound played before the facts of a category.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} name The name of the category.
+ * @param {string} url The URL of the sound.
+ * @return {void}
+ */
+const addSound = (workspace, language, name, url) =>
+  addTo(category(workspace, language, name), 'sounds', url, (s) => s);
+
+/**
+ * Removes a sound played before the facts of a category.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} name The name of the category.
+ * @param {string} url The URL of the sound.
+ * @return {void}
+ */
+const removeSound = (workspace, language, name, url) =>
+  removeFrom(category(workspace, language, name), 'sounds', url, (s) => s);
+
+/**
+ * Sets or removes the link of the cards of a category.
+ * @param {Workspace} workspace The workspace.
+ * @param {string} language The language.
+ * @param {string} name The name of the category.
+ * @param {string=} url The URL of the link, removes the link if empty.
+ * @return {void}
+ */
+const setLink = (workspace, language, name, url) => {
+  const entry = category(workspace, language, name);
+  if (url) {
+    entry.data.link = url;
+  } else {
+    delete entry.data.link;
+  }
+};
+
+module.exports = {
+  MAX_CARD_TITLE,
+  addCategory,
+  addFact,
+  addImage,
+  addSound,
+  category,
+  changes,
+  check,
+  editFact,
+  fact,
+  format,
+  lint,
+  read,
+  removeCategory,
+  removeFact,
+  removeImage,
+  removeSound,
+  setLink,
+  write,
+};
@@ -0,0 +1,91 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Compares texts line by line, to show how a generated file differs from the
+ * one it replaces. Meant for the small files of the agent export, it compares
+ * every line of one with every line of the other.
+ */
+
+/** Unchanged lines shown around changed ones */
+const CONTEXT_LINES = 2;
+
+/**
+ * Lists the lines of two texts, each marked as kept, removed or added.
+ * @param {string} before The old text.
+ * @param {string} after The new text.
+ * @return {Array<string>} The lines, prefixed with a space, - or +.
+ */
+const lines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // common[i][j] is the length of the longest common subsequence of the
+  // lines of a from i and the lines of b from j
+  const common = a.map(() => new Array(b.length + 1).fill(0));
+  common.push(new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 :
+        Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      result.push(` ${a[i++]}`);
+      j++;
+    } else if (i < a.length &&
+      (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      result.push(`-${a[i++]}`);
+    } else {
+      result.push(`+${b[j++]}`);
+    }
+  }
+  return result;
+};
+
+/**
+ * Shows how two texts differ, only keeping the lines around changes.
+ * @param {string} before The old text, empty if there wasn't one.
+ * @param {string} after The new text.
+ * @return {string} The changed lines with some context, empty if the texts
+ *     are the same.
+ */
+const diff = (before, after) => {
+  const all = lines(before, after);
+  const near = (i) => all
+    .slice(Math.max(0, i - CONTEXT_LINES), i + CONTEXT_LINES + 1)
+    .some((line) => line[0] !== ' ');
+  const out = [];
+  let last = -1;
+  all.forEach((line, i) => {
+    if (!near(i)) {
+      return;
+    }
+    if (last >= 0 && i > last + 1) {
+      out.push('...');
+    }
+    out.push(line);
+    last = i;
+  });
+  return out.join('\n');
+};
+
+module.exports = {
+  diff,
+  lines,
+};
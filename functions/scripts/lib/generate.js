@@ -0,0 +1,173 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Generates the files of the agent export that follow from the fact
+ * catalog: the entries of the category entity, from the synonyms of every
+ * main category, and the training phrases of the intent choosing a category,
+ * from their phrase templates. A template marks the words naming its
+ * category with braces, like "Tell me about the {HQ}".
+ */
+const crypto = require('crypto');
+const agents = require('./agent');
+
+/** The intent whose training phrases name a category */
+const CATEGORY_INTENT = 'choose_fact';
+
+/** The parameter the category is extracted to */
+const CATEGORY_PARAMETER = 'category';
+
+/** The words of a template naming its category */
+const MARK = /(\{[^{}]+\})/;
+
+/**
+ * Private utility function to get the template a training phrase follows.
+ * @param {Object} phrase The training phrase.
+ * @return {string|undefined} The template, if the phrase names a category.
+ */
+const templateOf_ = (phrase) => {
+  const meta = `@${agents.CATEGORY_ENTITY}`;
+  if (!phrase.data.some((part) => part.meta === meta)) {
+    return undefined;
+  }
+  return phrase.data
+    .map((part) => part.meta === meta ? `{${part.text}}` : part.text)
+    .join('');
+};
+
+/**
+ * Private utility function to build the training phrase of a template. Its
+ * id is derived from the template, so building twice gives the same file.
+ * @param {string} template The template.
+ * @return {Object} The training phrase.
+ */
+const phraseOf_ = (template) => {
+  const hash = crypto.createHash('sha1').update(template).digest('hex');
+  return {
+    // Shaped like the UUIDs Dialogflow gives
+    id: hash.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12}).*$/, '$1-$2-$3-$4-$5'),
+    data: template.split(MARK).filter((part) => part).map((part) =>
+      MARK.test(part) ? {
+        text: part.slice(1, -1),
+        alias: CATEGORY_PARAMETER,
+        meta: `@${agents.CATEGORY_ENTITY}`,
+        userDefined: true,
+      } : {
+        text: part,
+        userDefined: false,
+      }),
+    isTemplate: false,
+    count: 0,
+    updated: 0,
+  };
+};
+
+/**
+ * Builds the entries of the category entity, one per main category, with
+ * the synonyms of the category or else its name. Categories already in the
+ * agent keep their place.
+ * @param {Catalog} catalog The fact catalog.
+ * @param {Array<Object>=} existing The entries in the agent.
+ * @return {Array<Object>} The entries.
+ */
+const entries = (catalog, existing = []) => {
+  const values = existing.map((entry) => entry.value);
+  const place = (c) => values.includes(c.category) ?
+    values.indexOf(c.category) : values.length;
+  return catalog.mainCategories()
+    .map((c, i) => ({c, i}))
+    // Sort by place in the agent, then by place in the catalog
+    .sort((a, b) => place(a.c) - place(b.c) || a.i - b.i)
+    .map(({c}) => ({
+      value: c.category,
+      synonyms: c.synonyms || [c.category],
+    }));
+};
+
+/**
+ * Builds the training phrases of the intent choosing a category. Phrases
+ * that don't name a category are kept, the ones that do are replaced by the
+ * templates of the catalog. Phrases already in the agent keep their place
+ * and id, so regenerating only changes what the catalog changed.
+ * @param {Catalog} catalog The fact catalog.
+ * @param {Array<Object>} existing The training phrases in the agent.
+ * @return {Array<Object>} The training phrases.
+ * @throws {Error} If a template marks words that aren't a synonym of its
+ *     category.
+ */
+const trainingPhrases = (catalog, existing) => {
+  const errors = [];
+  const templates = [];
+  for (const c of catalog.mainCategories()) {
+    const synonyms = (c.synonyms || [c.category])
+      .map((synonym) => synonym.toLowerCase());
+    for (const template of c.phrases || []) {
+      const marked = template.split(MARK).filter((part) => MARK.test(part))
+        .map((part) => part.slice(1, -1));
+      if (marked.length !== 1) {
+        errors.push(`${c.category} phrase "${template}" should mark ` +
+          `the category once`);
+      } else if (!synonyms.includes(marked[0].toLowerCase())) {
+        errors.push(`${c.category} phrase "${template}" marks ` +
+          `"${marked[0]}", which isn't a synonym`);
+      } else if (!templates.includes(template)) {
+        templates.push(template);
+      }
+    }
+  }
+  if (errors.length) {
+    throw new Error(`Invalid phrase templates:\n  ${errors.join('\n  ')}`);
+  }
+  const kept = existing.filter((phrase) => {
+    const template = templateOf_(phrase);
+    return !template || templates.includes(template);
+  });
+  const keptTemplates = kept.map(templateOf_);
+  return kept.concat(templates
+    .filter((template) => !keptTemplates.includes(template))
+    .map(phraseOf_));
+};
+
+/**
+ * Generates the files of an agent export that follow from the catalog.
+ * @param {Catalog} catalog The fact catalog.
+ * @param {string=} file The path of the export, defaults to the one of the
+ *     repo.
+ * @param {string=} lang The language of the catalog.
+ * @return {Object<string, string>} The content of the files by path.
+ */
+const files = (catalog, file = agents.AGENT_ZIP, lang = 'en') => {
+  const agent = agents.read(file, lang);
+  const intent = agent.intents.find((i) => i.name === CATEGORY_INTENT);
+  const entity = agent.entities
+    .find((e) => e.name === agents.CATEGORY_ENTITY);
+  if (!intent || !entity) {
+    throw new Error(`intent ${CATEGORY_INTENT} and entity ` +
+      `${agents.CATEGORY_ENTITY} should be in the agent`);
+  }
+  return {
+    [`entities/${agents.CATEGORY_ENTITY}_entries_${lang}.json`]:
+      agents.toJson(entries(catalog, entity.entries)),
+    [`intents/${CATEGORY_INTENT}_usersays_${lang}.json`]:
+      agents.toJson(trainingPhrases(catalog, intent.usersays)),
+  };
+};
+
+module.exports = {
+  CATEGORY_INTENT,
+  entries,
+  files,
+  trainingPhrases,
+};
@@ -0,0 +1,138 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Strategies selecting which fact of a category to tell next. Each category
+ * of the fact catalog picks one with its selection field, uniform being the
+ * default.
+ */
+
+/** Weight of facts flagged as featured that don't have a weight of their own */
+const FEATURED_WEIGHT = 3;
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32).
+ * @param {number} seed The seed.
+ * @return {function(): number} Returns a number in [0, 1) on every call,
+ *     the same sequence for the same seed.
+ */
+const prng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/** The random number generator of the random strategies */
+let random = Math.random;
+
+/** The shuffled facts of the categories using the seeded strategy */
+const shuffled = new WeakMap();
+
+/**
+ * Seeds the random number generator of the random strategies, so they
+ * select the same facts in the same order, like in tests.
+ * @param {number=} value The seed, or nothing to go back to Math.random.
+ * @return {void}
+ */
+const seed = (value) => {
+  random = typeof value === 'undefined' ? Math.random : prng(value);
+};
+
+/**
+ * Shuffles the facts of a category with its seed, once per category, so
+ * they are in the same order for every user.
+ * @param {Object} category The category from the fact catalog.
+ * @return {Array<string>} The ids of the facts, shuffled.
+ */
+const shuffle = (category) => {
+  if (!shuffled.has(category)) {
+    const next = prng(category.seed || 0);
+    const ids = category.facts.map((fact) => fact.id);
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(next() * (i + 1));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    shuffled.set(category, ids);
+  }
+  return shuffled.get(category);
+};
+
+/**
+ * Gets the weight of a fact for the weighted strategy.
+ * @param {Object} fact The fact from the fact catalog.
+ * @return {number} The weight.
+ */
+const weightOf = (fact) => {
+  if (typeof fact.weight === 'number') {
+    return fact.weight;
+  }
+  return fact.featured ? FEATURED_WEIGHT : 1;
+};
+
+/**
+ * Selection strategies by name. Each returns the index of the fact to tell
+ * among the facts left, which are in catalog order.
+ * @type {Object<string, function(Array<Object>, Object): number>}
+ */
+const Strategies = {
+  // Every fact is as likely
+  uniform: (facts) => Math.floor(random() * facts.length),
+  // Facts with a larger weight, or featured, are more likely
+  weighted: (facts) => {
+    const total = facts.reduce((sum, fact) => sum + weightOf(fact), 0);
+    let threshold = random() * total;
+    const index = facts.findIndex((fact) => {
+      threshold -= weightOf(fact);
+      return threshold < 0;
+    });
+    return index < 0 ? facts.length - 1 : index;
+  },
+  // Facts are told in catalog order
+  sequential: () => 0,
+  // Facts are told in a shuffled order that is the same for every user,
+  // given by the seed of the category, skipping the ones heard
+  seeded: (facts, category) => {
+    const left = facts.map((fact) => fact.id);
+    return left.indexOf(shuffle(category).find((id) => left.includes(id)));
+  },
+};
+
+/**
+ * Pops the next fact to tell from the ids of the facts left in a category.
+ * @param {Array<string>} ids The ids of the facts left, in catalog order.
+ * @param {Object} category The category from the fact catalog.
+ * @param {Catalog} catalog The fact catalog.
+ * @return {string|null} The id of the fact, null if none are left.
+ */
+const pop = (ids, category, catalog) => {
+  if (!ids.length) {
+    return null;
+  }
+  const strategy = Strategies[category.selection || 'uniform'];
+  const index = strategy(ids.map((id) => catalog.fact(id)), category);
+  return ids.splice(index, 1)[0];
+};
+
+module.exports = {
+  Strategies,
+  pop,
+  prng,
+  seed,
+};
@@ -0,0 +1,223 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Serves the fulfillment over plain HTTP, to run it in a container or
+ * locally without Firebase. Webhook requests are POSTed to any path, and are
+ * authenticated by the app, see ./validation.js. GET /healthz tells the
+ * server is up and GET /readyz that it can fulfill requests. On SIGTERM or
+ * SIGINT it stops taking requests, finishes the ones it has and flushes
+ * analytics before exiting.
+ * @example
+ * PORT=8080 WEBHOOK_HEADERS='{"x-webhook-secret": "..."}' node server.js
+ */
+const http = require('http');
+const {log} = require('./logger');
+const validation = require('./validation');
+
+/** The port served unless PORT sets another, the one Cloud Run uses */
+const DEFAULT_PORT = 8080;
+
+/** How long requests have to finish once shutting down, in milliseconds */
+const SHUTDOWN_TIMEOUT = 10000;
+
+/** The largest webhook request taken, in bytes */
+const MAX_BODY = 1024 * 1024;
+
+/** The endpoints that aren't the webhook */
+const Paths = {
+  HEALTH: '/healthz',
+  READY: '/readyz',
+};
+
+/**
+ * An HTTP server fulfilling webhook requests with a Dialogflow app.
+ */
+class FulfillmentServer {
+  /**
+   * @param {DialogflowApp} app The Dialogflow app.
+   * @param {Object=} options
+   * @param {Promise<*>=} options.ready Resolves once the app can fulfill
+   *     requests, like once the fact catalog loaded.
+   * @param {function(): Promise<void>=} options.flush Sends what the app
+   *     holds back, like batched analytics, before shutting down.
+   * @param {number=} options.shutdownTimeout How long requests have to
+   *     finish once shutting down, in milliseconds.
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.flush = options.flush || (async () => {});
+    this.shutdownTimeout = options.shutdownTimeout || SHUTDOWN_TIMEOUT;
+    this.ready = false;
+    this.closing = null;
+    /** The open connections, by whether they are serving a request */
+    this.connections = new Map();
+    Promise.resolve(options.ready).then(() => {
+      this.ready = true;
+    }, (e) => {
+      log.error('Fulfillment failed to get ready', {error: e});
+    });
+    this.server = http.createServer((req, res) => this.handle_(req, res));
+    this.server.on('connection', (socket) => {
+      this.connections.set(socket, false);
+      socket.on('close', () => this.connections.delete(socket));
+    });
+  }
+
+  /**
+   * Starts serving requests.
+   * @param {number=} port Defaults to any free port.
+   * @param {string=} host Defaults to every interface.
+   * @return {Promise<number>} The port served.
+   */
+  listen(port = 0, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Shuts down gracefully: stops taking requests, waits for the ones being
+   * served, up to the shutdown timeout, then flushes.
+   * @return {Promise<void>}
+   */
+  close() {
+    if (this.closing) {
+      return this.closing;
+    }
+    this.closing = new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        log.warn('Requests still served at shutdown were dropped',
+          {requests: [...this.connections.values()].filter((b) => b).length});
+        this.connections.forEach((busy, socket) => socket.destroy());
+      }, this.shutdownTimeout);
+      this.server.close(() => {
+        clearTimeout(timeout);
+        resolve();
+      });
+      // Idle keep-alive connections would keep the server open
+      this.connections.forEach((busy, socket) => busy || socket.destroy());
+    }).then(() => this.flush());
+    return this.closing;
+  }
+
+  /**
+   * Private utility function to serve a request.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @return {void}
+   */
+  handle_(req, res) {
+    const {socket} = req;
+    this.connections.set(socket, true);
+    res.on('finish', () => {
+      this.connections.set(socket, false);
+      if (this.closing) {
+        socket.destroy();
+      }
+    });
+    const send = (status, json, headers = {}) => {
+      res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json;charset=utf-8',
+      }, headers, this.closing ? {Connection: 'close'} : {}));
+      res.end(JSON.stringify(json));
+    };
+    const path = req.url.split('?')[0];
+    if (req.method === 'GET' && path === Paths.HEALTH) {
+      return send(200, {status: 'ok'});
+    }
+    if (req.method === 'GET' && path === Paths.READY) {
+      return this.ready && !this.closing ?
+        send(200, {status: 'ready'}) :
+        send(503, {status: this.closing ? 'shutting down' : 'starting'});
+    }
+    if (req.method !== 'POST') {
+      return send(405, {error: `${req.method} ${path} isn't served`},
+        {Allow: 'POST'});
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', async () => {
+      if (size > MAX_BODY) {
+        return send(413, {error: 'Request too large'});
+      }
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (e) {
+        return send(400, {error: 'Request should be JSON'});
+      }
+      try {
+        const response =
+          await this.app.handler(body, req.headers, {
+            http: {request: req, response: res},
+          });
+        send(response.status, response.body, response.headers);
+      } catch (e) {
+        // The app already logged it
+        send(500, {error: e.message});
+      }
+    });
+  }
+}
+
+/**
+ * Serves the fulfillment on PORT until SIGTERM or SIGINT.
+ * @return {Promise<FulfillmentServer>} The server, once listening.
+ */
+const main = async () => {
+  const fulfillment = require('./index');
+  const server = new FulfillmentServer(fulfillment.app, {
+    ready: fulfillment.loadedCatalogs,
+    flush: () => fulfillment.analyticsSink.flush(),
+    shutdownTimeout: Number(process.env.SHUTDOWN_TIMEOUT) || undefined,
+  });
+  const port = await server.listen(Number(process.env.PORT) || DEFAULT_PORT);
+  log.info('Serving the fulfillment', {port});
+  const auth = validation.options(process.env);
+  if (!Object.keys(auth.headers).length && !auth.basic && !auth.audience) {
+    log.warn('Webhook requests are not authenticated, set WEBHOOK_HEADERS, ' +
+      'WEBHOOK_BASIC_AUTH or WEBHOOK_JWT_AUDIENCE');
+  }
+  const shutdown = (signal) => {
+    log.info('Shutting down', {signal});
+    server.close().then(() => process.exit(0));
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+  return server;
+};
+
+if (require.main === module) {
+  main().catch((e) => {
+    log.error('Fulfillment server failed to start', {error: e});
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  FulfillmentServer,
+  Paths,
+};
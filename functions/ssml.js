@@ -0,0 +1,209 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Builds SSML {@link https://developers.google.com/actions/reference/ssml}.
+ * Plain strings are always escaped, only the elements built here are kept as
+ * markup, so text like facts can't break the SSML.
+ */
+
+const years = require('./years');
+
+/** Entities of the characters that can't appear as is in SSML */
+const Entities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+};
+
+/** The elements the Assistant supports, the ones validate accepts */
+const ELEMENTS = [
+  'speak', 'break', 'say-as', 'audio', 'p', 's', 'sub', 'mark', 'prosody',
+  'emphasis', 'par', 'seq', 'media', 'desc',
+];
+
+/**
+ * Markup built by this module, which is kept as is when composed.
+ */
+class Ssml {
+  /**
+   * @param {string} markup The markup.
+   */
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  /**
+   * @return {string} The markup.
+   */
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * Escapes text so it can be used in SSML, as content or attribute value.
+ * @param {*} text The text.
+ * @return {string} The escaped text.
+ */
+const escape = (text) => String(text).replace(/[&<>"]/g, (c) => Entities[c]);
+
+/**
+ * Joins parts with spaces, escaping the ones that aren't markup and leaving
+ * out empty ones.
+ * @param {Array<string|Ssml>} parts The parts.
+ * @return {string} The markup.
+ */
+const join = (parts) => parts
+  .filter((part) => part || part === 0)
+  .map((part) => part instanceof Ssml ? part.markup : escape(part))
+  .join(' ');
+
+/**
+ * Builds an audio clip.
+ * @param {string} src The URL of the clip.
+ * @return {Ssml} The markup.
+ */
+const audio = (src) => new Ssml(`<audio src="${escape(src)}"></audio>`);
+
+/**
+ * Builds a pause.
+ * @param {string} time How long to pause, like 500ms or 1s.
+ * @return {Ssml} The markup.
+ */
+const pause = (time) => new Ssml(`<break time="${escape(time)}"/>`);
+
+/**
+ * Builds emphasized speech.
+ * @param {string|Ssml} content What to emphasize.
+ * @param {string=} level How much, strong, moderate or reduced.
+ * @return {Ssml} The markup.
+ */
+const emphasis = (content, level = 'moderate') => new Ssml(
+  `<emphasis level="${escape(level)}">${join([content])}</emphasis>`);
+
+/**
+ * Builds a date to be spoken as one.
+ * @param {string|number} value The date, like 1998 or 2019-04-13.
+ * @param {string=} format The format of the date, defaults to a year.
+ * @return {Ssml} The markup.
+ */
+const date = (value, format = 'y') => new Ssml(
+  `<say-as interpret-as="date" format="${escape(format)}">` +
+  `${escape(value)}</say-as>`);
+
+/**
+ * Escapes text, speaking the years in it as dates, like "founded in 1998",
+ * see ./years.js. Other numbers, like counts, are left as they are.
+ * @param {string} text The text.
+ * @param {string=} language The language of the text, like de.
+ * @return {Ssml} The markup.
+ */
+const sayDates = (text, language) => {
+  let markup = '';
+  let end = 0;
+  for (const {index, year} of years.find(text, language)) {
+    markup += escape(text.slice(end, index)) + date(year).markup;
+    end = index + year.length;
+  }
+  return new Ssml(markup + escape(text.slice(end)));
+};
+
+/**
+ * Lists what is wrong with SSML: anything that isn't well formed, elements
+ * the Assistant doesn't support and anything outside the speak element.
+ * @param {string} markup The SSML.
+ * @return {Array<string>} The errors, empty if the SSML is valid.
+ */
+const validate = (markup) => {
+  const errors = [];
+  const open = [];
+  let roots = 0;
+  const tokens = markup.match(/<[^<>]*>|[^<]+|</g) || [];
+  for (const token of tokens) {
+    if (!token.startsWith('<')) {
+      const entity = /&(?!(amp|lt|gt|quot|apos|#[0-9]+|#x[0-9a-f]+);)/i;
+      if (entity.test(token)) {
+        errors.push(`unescaped & in "${token}"`);
+      }
+      if (!open.length && token.trim()) {
+        errors.push(`"${token}" is outside of speak`);
+      }
+      continue;
+    }
+    const tag = /^<(\/?)([a-z-]+)((?:\s+[a-z-]+="[^"]*")*)\s*(\/?)>$/i
+      .exec(token);
+    if (!tag) {
+      errors.push(`malformed tag ${token}`);
+      continue;
+    }
+    const [, closing, name, , selfClosing] = tag;
+    if (closing) {
+      const expected = open.pop();
+      if (expected !== name) {
+        errors.push(expected ? `${name} closes ${expected}` :
+          `${name} closes nothing`);
+      }
+      continue;
+    }
+    if (!ELEMENTS.includes(name)) {
+      errors.push(`unsupported element ${name}`);
+    }
+    if (!open.length) {
+      if (name !== 'speak' || roots) {
+        errors.push(`${name} is outside of speak`);
+      }
+      roots++;
+    }
+    if (!selfClosing) {
+      open.push(name);
+    }
+  }
+  if (open.length) {
+    errors.push(`${open.join(', ')} not closed`);
+  }
+  if (!roots) {
+    errors.push('no speak element');
+  }
+  return errors;
+};
+
+/**
+ * Builds the SSML to speak, joining parts with spaces.
+ * @param {...(string|Ssml)} parts The parts, strings are escaped.
+ * @return {string} The SSML.
+ * @throws {Error} If the SSML isn't valid.
+ */
+const speak = (...parts) => {
+  const markup = `<speak>${join(parts)}</speak>`;
+  const errors = validate(markup);
+  if (errors.length) {
+    throw new Error(`Invalid SSML ${markup}: ${errors.join(', ')}`);
+  }
+  return markup;
+};
+
+module.exports = {
+  Ssml,
+  audio,
+  date,
+  emphasis,
+  escape,
+  pause,
+  sayDates,
+  speak,
+  validate,
+};
@@ -0,0 +1,144 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for reading agent.zip, checking it against
+// the fulfillment and generating it from the fact catalog.
+'use strict';
+
+const {expect} = require('chai');
+const path = require('path');
+const test = require('ava');
+const agents = require('./../scripts/lib/agent');
+const catalog = require('./../catalog');
+const generate = require('./../scripts/lib/generate');
+const {diff} = require('./../scripts/lib/diff');
+const {testApp, AppContexts} = require('./../index');
+
+const loadCatalog = () =>
+  catalog.load(catalog.source(path.join(__dirname, '..', 'facts')));
+
+const fulfillment = async () => ({
+  intents: Object.keys(testApp._handlers.intents),
+  contexts: Object.values(AppContexts),
+  catalog: await loadCatalog(),
+});
+
+test('reads intents with training phrases and entities with entries',
+  async function(t) {
+    const agent = agents.read();
+    const chooseFact = agent.intents.find((i) => i.name === 'choose_fact');
+    expect(chooseFact.usersays).to.not.be.empty;
+    const entity = agent.entities
+      .find((e) => e.name === agents.CATEGORY_ENTITY);
+    expect(entity.entries.map((e) => e.value)).to.have.members([
+      'headquarters', 'history',
+    ]);
+    t.pass();
+  });
+
+test('finds nothing wrong with the agent of the repo', async function(t) {
+  expect(agents.check(agents.read(), await fulfillment())).to.be.empty;
+  t.pass();
+});
+
+test('reports intents and contexts renamed on one side', async function(t) {
+  const agent = agents.read();
+  const rename = (name, to) => {
+    agent.intents.find((i) => i.name === name).name = to;
+  };
+  rename('repeat', 'repeat_fact');
+  rename('tell_cat_fact', 'tell_cats_fact');
+  agent.intents.find((i) => i.name === 'quit_facts').webhookUsed = false;
+  const code = await fulfillment();
+  code.contexts.push('Choose_Fact-followup');
+  expect(agents.check(agent, code)).to.have.members([
+    'intent repeat is handled but not in the agent',
+    'intent tell_cat_fact is handled but not in the agent',
+    'intent quit_facts is handled but doesn\'t use the webhook',
+    'intent repeat_fact uses the webhook but isn\'t handled',
+    'intent tell_cats_fact uses the webhook but isn\'t handled',
+    'context Choose_Fact-followup is not used by any intent',
+  ]);
+  t.pass();
+});
+
+test('reports entity values and categories that differ', async function(t) {
+  const agent = agents.read();
+  const entity = agent.entities.find((e) => e.name === agents.CATEGORY_ENTITY);
+  entity.entries.find((e) => e.value === 'history').value = 'past';
+  expect(agents.check(agent, await fulfillment())).to.have.members([
+    'fact-category value past is not a category',
+    'category history is not a fact-category value',
+  ]);
+  agent.entities = [];
+  expect(agents.check(agent, await fulfillment())).to.deep.equal([
+    'entity fact-category is not in the agent',
+  ]);
+  t.pass();
+});
+
+test('generates the agent of the repo from the catalog', async function(t) {
+  const files = generate.files(await loadCatalog());
+  for (const name of Object.keys(files)) {
+    expect(files[name], name).to.equal(agents.readFile(name));
+  }
+  t.pass();
+});
+
+test('generates synonyms and phrases added to the catalog', async function(t) {
+  const loaded = await loadCatalog();
+  const history = loaded.find('history');
+  history.synonyms = history.synonyms.concat('origins');
+  history.phrases = ['Tell me about its {origins}', '{History}'];
+  const entry = generate.entries(loaded, [{value: 'history'}])[0];
+  expect(entry).to.deep.equal({value: 'history', synonyms: [
+    'history', 'Google\'s history', 'past', 'Google\'s past',
+    'history of Google', 'origins',
+  ]});
+  const existing = agents.read().intents
+    .find((i) => i.name === generate.CATEGORY_INTENT).usersays;
+  const phrases = generate.trainingPhrases(loaded, existing);
+  const texts = phrases.map((p) => p.data.map((part) => part.text).join(''));
+  // Phrases that don't name a category are kept
+  expect(texts).to.include('Tell me about Google');
+  expect(texts).to.include('History');
+  expect(texts).to.not.include('The history of Google');
+  expect(texts[texts.length - 1]).to.equal('Tell me about its origins');
+  expect(phrases[phrases.length - 1].data[1]).to.deep.equal({
+    text: 'origins',
+    alias: 'category',
+    meta: '@fact-category',
+    userDefined: true,
+  });
+  t.pass();
+});
+
+test('rejects phrases marking words that aren\'t synonyms', async function(t) {
+  const loaded = await loadCatalog();
+  loaded.find('history').phrases = ['Tell me about {cats}', 'Tell me'];
+  expect(() => generate.trainingPhrases(loaded, [])).to.throw(
+    'history phrase "Tell me about {cats}" marks "cats", which isn\'t a ' +
+    'synonym');
+  expect(() => generate.trainingPhrases(loaded, [])).to.throw(
+    'history phrase "Tell me" should mark the category once');
+  t.pass();
+});
+
+test('shows the lines around changes', function(t) {
+  const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n');
+  const after = ['a', 'b', 'c', 'd', 'E', 'f', 'g', 'h', 'i'].join('\n');
+  expect(diff(before, after)).to.equal(
+    [' c', ' d', '-e', '+E', ' f', ' g', ' h', '+i'].join('\n'));
+  expect(diff(before, before)).to.equal('');
+  t.pass();
+});
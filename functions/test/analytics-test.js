@@ -0,0 +1,168 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for analytics events, their sinks and the
+// funnel they are aggregated into.
+'use strict';
+
+// Keep the events of the fulfillment in memory to check them
+process.env.ANALYTICS = 'memory';
+
+const {expect} = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('ava');
+const analytics = require('./../analytics');
+const {testApp, analyticsSink} = require('./../index');
+const {Simulator} = require('./lib/simulator');
+
+const {Events} = analytics;
+
+test('emits events for a whole conversation', async function(t) {
+  analyticsSink.events.length = 0;
+  const conversation = new Simulator(testApp);
+  await conversation.welcome();
+  for (let i = 0; i < 5; i++) {
+    await conversation.send(i ? 'tell_fact' : 'choose_fact',
+      {category: 'history'});
+  }
+  await conversation.send('choose_cats');
+  await conversation.send('quit_facts');
+  const events = analyticsSink.events;
+  expect(events.map((e) => e.event)).to.deep.equal([
+    Events.CONVERSATION_START,
+    Events.CATEGORY_CHOSEN,
+    Events.FACT_DELIVERED,
+    Events.FACT_DELIVERED,
+    Events.FACT_DELIVERED,
+    Events.FACT_DELIVERED,
+    Events.CATEGORY_EXHAUSTED,
+    Events.REDIRECT_OFFERED,
+    Events.CATEGORY_CHOSEN,
+    Events.TOPIC_ACCEPTED,
+    Events.FACT_DELIVERED,
+    Events.CONVERSATION_CLOSED,
+  ]);
+  expect(new Set(events.map((e) => e.conversationId)).size).to.equal(1);
+  expect(events[2]).to.include({
+    intent: 'choose_fact',
+    locale: 'en-US',
+    category: 'history',
+  });
+  expect(events[2].factId).to.match(/^history-/);
+  expect(events[7]).to.include({category: 'history'});
+  expect(events[7].offered).to.deep.equal(['headquarters']);
+  expect(events[9]).to.include({category: 'cats'});
+  expect(events[11]).to.include({reason: analytics.CloseReasons.QUIT});
+  t.pass();
+});
+
+test.serial('sends the events of a request before responding',
+  async function(t) {
+    const {emit, flush} = analyticsSink;
+    const sent = [];
+    let flushed = 0;
+    analyticsSink.emit = (event) => new Promise((resolve) => setTimeout(() => {
+      sent.push(event.event);
+      resolve();
+    }, 10));
+    analyticsSink.flush = async () => {
+      flushed++;
+    };
+    try {
+      await new Simulator(testApp).send('choose_fact', {category: 'history'});
+      expect(sent).to.deep.equal([
+        Events.CONVERSATION_START,
+        Events.CATEGORY_CHOSEN,
+        Events.FACT_DELIVERED,
+      ]);
+      expect(flushed).to.equal(0);
+      // The Firebase function serves the app like an Express app
+      const firebase = new Simulator((body, headers) =>
+        testApp.handler(body, headers, {express: {}}));
+      await firebase.send('choose_fact', {category: 'history'});
+      expect(sent).to.have.lengthOf(6);
+      expect(flushed).to.equal(1);
+    } finally {
+      Object.assign(analyticsSink, {emit, flush});
+    }
+    t.pass();
+  });
+
+test('aggregates events into a funnel', function(t) {
+  const at = (conversationId, event, fields) =>
+    Object.assign({event, conversationId}, fields);
+  const report = analytics.funnel([
+    at('a', Events.CONVERSATION_START),
+    at('a', Events.CATEGORY_CHOSEN, {category: 'history'}),
+    at('a', Events.FACT_DELIVERED, {category: 'history'}),
+    at('a', Events.CONVERSATION_CLOSED, {reason: 'quit'}),
+    at('b', Events.CONVERSATION_START),
+    at('b', Events.CONVERSATION_CLOSED, {reason: 'no_input'}),
+    at('c', Events.CONVERSATION_START),
+    at('c', Events.CATEGORY_CHOSEN, {category: 'history'}),
+  ]);
+  expect(report.conversations).to.equal(3);
+  expect(report.steps.map((s) => s.conversations)).to.deep.equal([3, 2, 1, 0]);
+  expect(report.steps[1].share).to.equal(2 / 3);
+  expect(report.chosen).to.deep.equal({history: 2});
+  expect(report.closed).to.deep.equal({quit: 1, no_input: 1, none: 1});
+  expect(report.factsBeforeClose).to.deep.equal({0: 2, 1: 1});
+  t.pass();
+});
+
+test('inserts BigQuery rows in batches', async function(t) {
+  const batches = [];
+  const sink = analytics.bigquery('dataset', 'table', {
+    batchSize: 2,
+    insert: async (rows) => {
+      batches.push(rows);
+    },
+  });
+  for (const event of ['a', 'b', 'c']) {
+    await sink.emit({event});
+  }
+  expect(batches).to.have.lengthOf(1);
+  await sink.flush();
+  expect(batches.map((rows) => rows.map((row) => row.json.event)))
+    .to.deep.equal([['a', 'b'], ['c']]);
+  expect(batches[0][0].insertId).to.be.a('string');
+  t.pass();
+});
+
+test('appends events to a file and parses them back', async function(t) {
+  const file = path.join(os.tmpdir(), `analytics-${process.pid}.jsonl`);
+  const sink = analytics.sink(`stdout-not-a-sink, file://${file}`);
+  const event = {event: Events.CONVERSATION_START, conversationId: 'a'};
+  await sink.emit(event);
+  await sink.emit(event);
+  const text = `not an event\n${fs.readFileSync(file, 'utf8')}`;
+  fs.unlinkSync(file);
+  expect(analytics.parse(text)).to.deep.equal([event, event]);
+  t.pass();
+});
+
+test('logs the errors of sinks instead of failing', async function(t) {
+  const sink = analytics.sink('file:///no/such/directory/events.jsonl');
+  const error = console.error;
+  const errors = [];
+  console.error = (...args) => errors.push(args);
+  try {
+    await sink.emit({event: Events.CONVERSATION_START});
+  } finally {
+    console.error = error;
+  }
+  expect(errors).to.have.lengthOf(1);
+  t.pass();
+});
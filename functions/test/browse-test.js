@@ -0,0 +1,151 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for browsing the categories on screens.
+'use strict';
+
+const {List} = require('actions-on-google');
+const {expect} = require('chai');
+const test = require('ava');
+const i18n = require('./../i18n');
+const render = require('./../render');
+const {testApp} = require('./../index');
+const {Simulator} = require('./lib/simulator');
+
+/**
+ * Gets the items of the carousel a response shows.
+ * @param {Turn} turn The turn.
+ * @return {Array<Object>} The items.
+ */
+const carouselOf = (turn) => {
+  const {systemIntent} = turn.google;
+  expect(systemIntent.intent).to.equal('actions.intent.OPTION');
+  return systemIntent.data.carouselSelect.items;
+};
+
+/**
+ * Picks an item of a carousel or list.
+ * @param {Simulator} conversation The conversation.
+ * @param {string} key The key of the item.
+ * @return {Promise<Turn>} The response.
+ */
+const select = (conversation, key) =>
+  conversation.send('actions_intent_OPTION', {}, {
+    input: 'actions.intent.OPTION',
+    arguments: [{name: 'OPTION', textValue: key}],
+  });
+
+test('shows the categories with how many facts are left', async function(t) {
+  const conversation = new Simulator(testApp);
+  const turn = (await conversation.send('browse_categories'))
+    .expectOpen()
+    .expectSpeech('Here\'s what I can tell you about. Which one do you want?');
+  const items = carouselOf(turn);
+  expect(items.map((item) => item.optionInfo.key)).to.deep.equal([
+    'headquarters', 'history', 'cats',
+  ]);
+  expect(items.map((item) => item.title)).to.deep.equal([
+    'Headquarters', 'History', 'Cats',
+  ]);
+  expect(items.map((item) => item.description)).to.deep.equal([
+    '3 facts left', '4 facts left', '3 facts left',
+  ]);
+  expect(items[0].optionInfo.synonyms).to.include('HQ');
+  expect(items[2].image).to.deep.include({
+    url: 'https://developers.google.com/web/fundamentals/accessibility/' +
+      'semantics-builtin/imgs/160204193356-01-cat-500.jpg',
+    accessibilityText: 'Gray Cat',
+  });
+  expect(items[0].image.accessibilityText).to.equal('Google app logo');
+  t.pass();
+});
+
+test('tells a fact of the category picked', async function(t) {
+  const conversation = new Simulator(testApp);
+  await conversation.send('browse_categories');
+  (await select(conversation, 'history'))
+    .expectSpeech(/^<speak>Sure, here's a history fact\. /)
+    .expectContext('choose_fact-followup', {category: 'history'})
+    .expectCard();
+  (await select(conversation, 'cats'))
+    .expectSpeech(/^<speak>Alright, here's a cat fact\. /)
+    .expectContext('choose_cats-followup', {category: 'cats'});
+  const items = carouselOf(await conversation.send('browse_categories'));
+  expect(items.map((item) => item.description)).to.deep.equal([
+    '3 facts left', '3 facts left', '2 facts left',
+  ]);
+  (await select(conversation, 'weather'))
+    .expectSpeech(/^Sorry, I don't have facts about that\. /);
+  t.pass();
+});
+
+test('leaves out the categories the user heard all of', async function(t) {
+  const conversation = new Simulator(testApp);
+  for (let i = 0; i < 3; i++) {
+    await conversation.send('choose_cats');
+  }
+  const items = carouselOf(await conversation.send('browse_categories'));
+  expect(items.map((item) => item.optionInfo.key)).to.deep.equal([
+    'headquarters', 'history',
+  ]);
+  for (let i = 0; i < 3; i++) {
+    await conversation.send('choose_fact', {category: 'headquarters'});
+  }
+  // A carousel needs two items
+  (await conversation.send('browse_categories'))
+    .expectSpeech('I can tell you about Google\'s history. So what would ' +
+      'you like to hear about?')
+    .expectSuggestions('History');
+  expect(conversation.turns[conversation.turns.length - 1].google.systemIntent)
+    .to.be.undefined;
+  t.pass();
+});
+
+test('says the categories on speakers', async function(t) {
+  const conversation = new Simulator(testApp, {
+    capabilities: ['actions.capability.AUDIO_OUTPUT'],
+  });
+  const turn = (await conversation.send('browse_categories'))
+    .expectSpeech('I can tell you about Google\'s headquarters or history. ' +
+      'By the way, I can tell you about cats too. So what would you like ' +
+      'to hear about?')
+    .expectSuggestions('Headquarters', 'History', 'Cats');
+  expect(turn.google.systemIntent).to.be.undefined;
+  t.pass();
+});
+
+test('shows the categories in the language of the user', async function(t) {
+  const conversation = new Simulator(testApp, {locale: 'fr-FR'});
+  const items = carouselOf((await conversation.send('browse_categories'))
+    .expectSpeech('Voici ce dont je peux vous parler. Que voulez-vous ' +
+      'choisir ?'));
+  expect(items.map((item) => item.description)).to.deep.equal([
+    'Encore 3 anecdotes', 'Encore 4 anecdotes', 'Encore 3 anecdotes',
+  ]);
+  expect(items[2].image.accessibilityText).to.equal('Chat gris');
+  expect(items[1].optionInfo.synonyms).to.include('passé')
+    .and.not.include('past');
+  t.pass();
+});
+
+test('shows at most 30 categories on a list', function(t) {
+  const conv = {bundle: i18n.responses('en-US')};
+  const shown = Array.from({length: 31}, (_, i) => ({
+    category: `category-${i}`,
+    suggestion: `Category ${i}`,
+  }));
+  const list = render.categories(conv, shown, () => 1);
+  expect(list).to.be.an.instanceof(List);
+  expect(list.inputValueData.listSelect.items).to.have.lengthOf(30);
+  t.pass();
+});
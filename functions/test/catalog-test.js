@@ -0,0 +1,245 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for the fact catalog. They only use local
+// files and fakes so they run offline.
+'use strict';
+
+const {expect} = require('chai');
+const path = require('path');
+const test = require('ava');
+const catalog = require('./../catalog');
+
+const fixtures = path.join(__dirname, 'fixtures', 'catalog');
+
+test('loads JSON and YAML categories from a directory', async function(t) {
+  const loaded =
+    await catalog.load(catalog.source(path.join(fixtures, 'valid')));
+  expect(loaded.categories.map((c) => c.category)).to.deep.equal([
+    'android', 'chrome',
+  ]);
+  expect(loaded.find('chrome').facts).to.deep.equal([
+    {id: 'chrome-release', text: 'Chrome was released in 2008.'},
+  ]);
+  expect(loaded.find('cats')).to.be.undefined;
+  t.pass();
+});
+
+test('seeds the ids of every fact not heard', async function(t) {
+  const loaded =
+    await catalog.load(catalog.source(path.join(fixtures, 'valid')));
+  expect(loaded.facts()).to.deep.equal({
+    android: ['android-release', 'android-desserts'],
+    chrome: ['chrome-release'],
+  });
+  expect(loaded.facts(['android-release'])).to.deep.equal({
+    android: ['android-desserts'],
+    chrome: ['chrome-release'],
+  });
+  t.pass();
+});
+
+test('resolves ids, texts and legacy ids of facts', async function(t) {
+  const loaded =
+    await catalog.load(catalog.source(path.join(fixtures, 'valid')));
+  expect(loaded.fact('chrome-release').text).to.equal(
+    'Chrome was released in 2008.');
+  expect(loaded.resolveId('chrome-release')).to.equal('chrome-release');
+  expect(loaded.resolveId('Chrome was released in 2008.')).to.equal(
+    'chrome-release');
+  expect(loaded.resolveId(catalog.legacyFactId('chrome',
+    'Chrome was released in 2008.'))).to.equal('chrome-release');
+  expect(loaded.resolveId('Chrome was released in 2009.')).to.be.undefined;
+  expect(loaded.categoryOf('chrome-release')).to.equal(loaded.find('chrome'));
+  t.pass();
+});
+
+test('ships a valid default catalog', async function(t) {
+  const loaded = await catalog.load(
+    catalog.source(path.join(__dirname, '..', 'facts')));
+  expect(loaded.categories.map((c) => c.category)).to.deep.equal([
+    'cats', 'headquarters', 'history',
+  ]);
+  t.pass();
+});
+
+test('reports every schema violation', async function(t) {
+  const error = await t.throwsAsync(
+    catalog.load(catalog.source(path.join(fixtures, 'invalid'))));
+  const dir = path.join(fixtures, 'invalid');
+  expect(error.message).to.include(
+    `${path.join(dir, 'android.yaml')}.category should match`);
+  expect(error.message).to.include(
+    `${path.join(dir, 'android.yaml')}.suggestion is required`);
+  expect(error.message).to.include(
+    `${path.join(dir, 'android.yaml')}.facts should have at least 1 items`);
+  expect(error.message).to.include(
+    `${path.join(dir, 'chrome.json')}.facts[1].id should match`);
+  expect(error.message).to.include(
+    `${path.join(dir, 'chrome.json')}.facts[1].text should be string`);
+  expect(error.message).to.include(
+    `${path.join(dir, 'chrome.json')} duplicates category "chrome"`);
+});
+
+test('rejects an empty catalog', async function(t) {
+  const error = await t.throwsAsync(catalog.load({load: async () => []}));
+  expect(error.message).to.include('at least one category');
+});
+
+test('loads categories from a Firestore collection', async function(t) {
+  const doc = (id, data) => ({id, data: () => data});
+  const requested = [];
+  const db = {
+    collection: (name) => {
+      requested.push(name);
+      return {
+        get: async () => ({
+          docs: [
+            doc('history', {
+              category: 'history',
+              suggestion: 'History',
+              factPrefix: 'Sure, here\'s a history fact.',
+              facts: [{
+                id: 'history-founded',
+                text: 'Google was founded in 1998.',
+              }],
+            }),
+            doc('android', {
+              category: 'android',
+              suggestion: 'Android',
+              factPrefix: 'Here\'s an Android fact.',
+              facts: [{
+                id: 'android-release',
+                text: 'Android was released in 2008.',
+              }],
+            }),
+          ],
+        }),
+      };
+    },
+  };
+  const loaded = await catalog.load(catalog.sources.firestore('facts', db));
+  expect(requested).to.deep.equal(['facts']);
+  expect(loaded.categories.map((c) => c.category)).to.deep.equal([
+    'android', 'history',
+  ]);
+  t.pass();
+});
+
+test('finds bonus topics by intent', async function(t) {
+  const loaded = await catalog.load(
+    catalog.source(path.join(__dirname, '..', 'facts')));
+  expect(loaded.mainCategories().map((c) => c.category)).to.deep.equal([
+    'headquarters', 'history',
+  ]);
+  expect(loaded.topics().map((c) => c.category)).to.deep.equal(['cats']);
+  expect(loaded.findByIntent('tell_cat_fact')).to.equal(loaded.find('cats'));
+  expect(loaded.findByIntent('tell_fact')).to.be.undefined;
+  t.pass();
+});
+
+test('validates the topic block', async function(t) {
+  const errors = catalog.validate([{
+    source: 'dogs.json',
+    data: {
+      category: 'dogs',
+      suggestion: 'Dogs',
+      factPrefix: 'Here\'s a dog fact.',
+      facts: [{id: 'dogs-animals', text: 'Dogs are animals.'}],
+      images: [{url: 'https://example.com/dog.jpg'}],
+      topic: {intents: [], context: 'choose_dogs-followup'},
+    },
+  }]);
+  expect(errors).to.have.members([
+    'dogs.json.images[0].accessibilityText is required',
+    'dogs.json.topic.intents should have at least 1 items',
+    'dogs.json.topic.alsoAvailable is required',
+    'dogs.json.topic.heardItAll is required',
+  ]);
+  t.pass();
+});
+
+test('loads the catalog of every language', async function(t) {
+  const catalogs = await catalog.loadLocales(
+    catalog.source(path.join(__dirname, '..', 'facts')),
+    'en', ['en', 'fr', 'es']);
+  expect(catalogs).to.have.keys('en', 'fr', 'es');
+  expect(catalogs.es).to.equal(catalogs.en);
+  const cats = catalogs.fr.find('cats');
+  expect(cats.suggestion).to.equal('Chats');
+  // Untranslated fields fall back to the base catalog
+  expect(cats.sounds).to.deep.equal(catalogs.en.find('cats').sounds);
+  expect(cats.topic.intents).to.deep.equal(['choose_cats', 'tell_cat_fact']);
+  expect(cats.topic.alsoAvailable).to.equal(
+    'Au fait, je peux aussi vous parler des chats.');
+  // What users say to name a category is only in their language
+  expect(cats.synonyms).to.be.undefined;
+  expect(catalogs.fr.find('history').synonyms).to.not.include('past');
+  t.pass();
+});
+
+test('rejects duplicate fact ids', function(t) {
+  const category = (name) => ({
+    source: `${name}.json`,
+    data: {
+      category: name,
+      suggestion: name,
+      factPrefix: 'Here\'s a fact.',
+      facts: [{id: 'fact', text: `${name} is great.`}],
+    },
+  });
+  expect(catalog.validate([category('android'), category('chrome')]))
+    .to.deep.equal([
+      'chrome.json duplicates fact id "fact" of android.json',
+    ]);
+  t.pass();
+});
+
+test('rejects translated facts missing from the base', async function(t) {
+  const entry = (id) => ({
+    source: `${id}.json`,
+    data: {
+      category: 'chrome',
+      suggestion: 'Chrome',
+      factPrefix: 'Here\'s a Chrome fact.',
+      facts: [{id, text: 'Chrome was released in 2008.'}],
+    },
+  });
+  const source = {
+    load: async () => [entry('chrome-release')],
+    locale: () => ({load: async () => [entry('chrome-year')]}),
+  };
+  const error =
+    await t.throwsAsync(catalog.loadLocales(source, 'en', ['fr']));
+  expect(error.message).to.include('fr has facts chrome-year missing from en');
+});
+
+test('validates the selection strategy and weights', function(t) {
+  const errors = catalog.validate([{
+    source: 'history.json',
+    data: {
+      category: 'history',
+      suggestion: 'History',
+      factPrefix: 'Sure, here\'s a history fact.',
+      facts: [{id: 'history-founded', text: 'Google was founded in 1998.',
+        weight: -1}],
+      selection: 'random',
+    },
+  }]);
+  expect(errors).to.have.members([
+    'history.json.facts[0].weight should be at least 0',
+    'history.json.selection should be one of uniform, weighted, ' +
+      'sequential, seeded',
+  ]);
+  t.pass();
+});
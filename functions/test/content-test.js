@@ -0,0 +1,255 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for editing and checking the fact catalog.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const catalog = require('./../catalog');
+const content = require('./../scripts/lib/content');
+
+const FACTS = path.join(__dirname, '..', 'facts');
+
+/**
+ * Copies a directory and its subdirectories.
+ * @param {string} from The directory to copy.
+ * @param {string} to Where to copy it, created if missing.
+ * @return {void}
+ */
+const copy = (from, to) => {
+  if (!fs.existsSync(to)) {
+    fs.mkdirSync(to);
+  }
+  for (const file of fs.readdirSync(from)) {
+    const source = path.join(from, file);
+    if (fs.statSync(source).isDirectory()) {
+      copy(source, path.join(to, file));
+    } else {
+      fs.copyFileSync(source, path.join(to, file));
+    }
+  }
+};
+
+/**
+ * Reads a copy of the catalog of the repo, to edit it.
+ * @return {Promise<Workspace>} The workspace of the copy.
+ */
+const readCopy = async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'facts-'));
+  copy(FACTS, dir);
+  return content.read(dir);
+};
+
+/**
+ * Reads a JSON file of a catalog.
+ * @param {Workspace} workspace The workspace of the catalog.
+ * @param {string} file The file, relative to the catalog.
+ * @return {Object} The content of the file.
+ */
+const readJson = (workspace, file) =>
+  JSON.parse(fs.readFileSync(path.join(workspace.dir, file), 'utf8'));
+
+test('writes the catalog back the way it is', async function(t) {
+  const workspace = await content.read(FACTS);
+  expect(Object.keys(workspace.languages)).to.have.members([
+    'en', 'fr', 'de', 'ja',
+  ]);
+  expect(content.changes(workspace)).to.be.empty;
+  expect(await content.check(workspace)).to.be.empty;
+  t.pass();
+});
+
+test('writes keys in schema order', function(t) {
+  const data = {
+    facts: [{text: 'Cats are animals.', id: 'cats-animals'}],
+    zebra: true,
+    factPrefix: 'Alright.',
+    suggestion: 'Cats',
+    category: 'cats',
+  };
+  expect(content.format({source: 'cats.json', data})).to.equal([
+    '{',
+    '  "category": "cats",',
+    '  "suggestion": "Cats",',
+    '  "factPrefix": "Alright.",',
+    '  "facts": [',
+    '    {',
+    '      "id": "cats-animals",',
+    '      "text": "Cats are animals."',
+    '    }',
+    '  ],',
+    '  "zebra": true',
+    '}',
+    '',
+  ].join('\n'));
+  expect(content.format({source: 'cats.yaml', data})).to.equal([
+    'category: cats',
+    'suggestion: Cats',
+    'factPrefix: Alright.',
+    'facts:',
+    '  - id: cats-animals',
+    '    text: Cats are animals.',
+    'zebra: true',
+    '',
+  ].join('\n'));
+  t.pass();
+});
+
+test('finds duplicate facts, missing alt text and long titles',
+  function(t) {
+    const long = 'Google has '.repeat(10);
+    expect(content.lint([{
+      source: 'google.json',
+      data: {
+        facts: [
+          {id: 'google-founded', text: 'Google was founded in 1998.'},
+          {id: 'google-founded-2', text: 'google was founded in 1998!'},
+          {id: 'google-long', text: long},
+        ],
+        images: [
+          {url: 'https://example.com/logo.png', accessibilityText: 'Logo'},
+          {url: 'https://example.com/office.png', accessibilityText: ' '},
+        ],
+      },
+    }], 'en')).to.deep.equal([
+      'en: fact google-founded-2 duplicates google-founded',
+      `en: fact google-long is ${long.length} characters long, card titles ` +
+        `should be at most ${content.MAX_CARD_TITLE}`,
+      'en: image 2 of google.json has no alt text (accessibilityText)',
+    ]);
+    t.pass();
+  });
+
+test('adds, edits and removes facts, with their translations',
+  async function(t) {
+    const workspace = await readCopy();
+    const added = content.addFact(workspace, 'en', 'headquarters',
+      'Google\'s headquarters has a dinosaur.');
+    expect(added.id).to.equal('hq-googles-headquarters-has-a');
+    expect(content.addFact(workspace, 'en', 'headquarters',
+      'Google\'s headquarters has a dinosaur!').id)
+      .to.equal('hq-googles-headquarters-has-a-2');
+    expect(await content.check(workspace)).to.deep.equal([
+      'en: fact hq-googles-headquarters-has-a-2 duplicates ' +
+        'hq-googles-headquarters-has-a',
+    ]);
+    content.removeFact(workspace, 'en', 'hq-googles-headquarters-has-a-2');
+    content.addFact(workspace, 'fr', 'headquarters',
+      'Le siège de Google a un dinosaure.', added.id);
+    expect(() => content.addFact(workspace, 'fr', 'headquarters', 'Un fait.'))
+      .to.throw(/id of the fact they translate/);
+    content.editFact(workspace, 'en', 'hq-location',
+      'Google\'s headquarters is in Mountain View.');
+    content.removeFact(workspace, 'en', 'hq-fitness');
+    expect(await content.check(workspace)).to.be.empty;
+    expect(Object.keys(content.write(workspace)).map((file) =>
+      path.relative(workspace.dir, file))).to.have.members([
+      'headquarters.json', 'fr/headquarters.json', 'de/headquarters.json',
+      'ja/headquarters.json',
+    ]);
+    const loaded = await catalog.load(catalog.source(workspace.dir));
+    expect(loaded.fact('hq-location').text).to.equal(
+      'Google\'s headquarters is in Mountain View.');
+    expect(loaded.fact('hq-fitness')).to.be.undefined;
+    expect(readJson(workspace, 'fr/headquarters.json').facts.map((f) => f.id))
+      .to.deep.equal(['hq-location', 'hq-cafeterias',
+        'hq-googles-headquarters-has-a']);
+    expect(content.changes(await content.read(workspace.dir))).to.be.empty;
+    t.pass();
+  });
+
+test('adds and removes images, sounds and links', async function(t) {
+  const workspace = await readCopy();
+  expect(() => content.addImage(workspace, 'en', 'history',
+    'https://example.com/garage.png', '')).to.throw(/alt text/);
+  content.addImage(workspace, 'en', 'history',
+    'https://example.com/garage.png', 'The garage Google started in');
+  expect(() => content.addImage(workspace, 'en', 'history',
+    'https://example.com/garage.png', 'Garage')).to.throw(/already has/);
+  content.addSound(workspace, 'en', 'history',
+    'https://example.com/typing.ogg');
+  content.setLink(workspace, 'en', 'history', 'https://about.google');
+  content.removeSound(workspace, 'en', 'cats',
+    'https://actions.google.com/sounds/v1/animals/cat_purr_close.ogg');
+  content.setLink(workspace, 'en', 'cats');
+  expect(() => content.removeSound(workspace, 'en', 'cats', 'purr.ogg'))
+    .to.throw(/has no sounds/);
+  content.write(workspace);
+  const history = readJson(workspace, 'history.json');
+  expect(history).to.deep.include({
+    images: [{
+      url: 'https://example.com/garage.png',
+      accessibilityText: 'The garage Google started in',
+    }],
+    sounds: ['https://example.com/typing.ogg'],
+    link: 'https://about.google',
+  });
+  expect(Object.keys(history).slice(-3)).to.deep.equal([
+    'images', 'sounds', 'link',
+  ]);
+  expect(readJson(workspace, 'cats.json')).to.not.have.any.keys(
+    'sounds', 'link');
+  t.pass();
+});
+
+test('adds and removes categories, with their translations',
+  async function(t) {
+    const workspace = await readCopy();
+    content.addCategory(workspace, 'en', {
+      category: 'gmail',
+      suggestion: 'Gmail',
+      factPrefix: 'Here\'s a Gmail fact.',
+    });
+    expect(await content.check(workspace)).to.deep.equal([
+      `en: ${path.join(workspace.dir, 'gmail.json')}.facts is required`,
+    ]);
+    const {id} = content.addFact(workspace, 'en', 'gmail',
+      'Gmail launched on April 1, 2004.');
+    content.addFact(workspace, 'fr', 'gmail',
+      'Gmail est sorti le 1er avril 2004.', id);
+    expect(() => content.addCategory(workspace, 'en', {category: 'gmail'}))
+      .to.throw(/already is/);
+    content.write(workspace);
+    const loaded = await catalog.loadLocales(catalog.source(workspace.dir),
+      'en', ['fr']);
+    expect(loaded.fr.categoryOf(id)).to.include({
+      category: 'gmail',
+      suggestion: 'Gmail',
+    });
+    expect(loaded.fr.fact(id).text).to.equal(
+      'Gmail est sorti le 1er avril 2004.');
+    content.removeCategory(workspace, 'en', 'gmail');
+    content.write(workspace);
+    expect(fs.existsSync(path.join(workspace.dir, 'gmail.json'))).to.be.false;
+    expect(fs.existsSync(path.join(workspace.dir, 'fr', 'gmail.json')))
+      .to.be.false;
+    t.pass();
+  });
+
+test('tells when translations no longer load', async function(t) {
+  const workspace = await readCopy();
+  content.category(workspace, 'fr', 'history').data.facts.push({
+    id: 'history-gone',
+    text: 'Un fait disparu.',
+  });
+  expect(await content.check(workspace)).to.deep.equal([
+    'fr: fr has facts history-gone missing from en',
+  ]);
+  expect(() => content.category(workspace, 'de', 'gmail'))
+    .to.throw('There is no de category gmail');
+  t.pass();
+});
@@ -0,0 +1,150 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for the fact of the day. They set the clock,
+// so they run serially.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const path = require('path');
+const catalog = require('./../catalog');
+const daily = require('./../daily');
+const {testApp} = require('./../index');
+const {PHONE, Simulator} = require('./lib/simulator');
+
+/** Late on April 13 in New York, already April 14 in UTC and Tokyo */
+const NOW = new Date('2019-04-14T02:30:00Z');
+
+const loadCatalog = () =>
+  catalog.load(catalog.source(path.join(__dirname, '..', 'facts')));
+
+test.beforeEach(() => daily.clock(() => NOW));
+test.afterEach.always(() => daily.clock());
+
+test.serial('tells the day in the time zone of the user', function(t) {
+  expect(daily.today('America/New_York')).to.equal('2019-04-13');
+  expect(daily.today('Asia/Tokyo')).to.equal('2019-04-14');
+  expect(daily.today('Not/A_Zone')).to.equal('2019-04-14');
+  expect(daily.today('UTC', new Date('2019-12-31T23:59:59Z')))
+    .to.equal('2019-12-31');
+  t.pass();
+});
+
+test.serial('orders facts the same way for the same day', function(t) {
+  const ids = ['a', 'b', 'c', 'd', 'e', 'f'];
+  const order = daily.order(ids, '2019-04-13');
+  expect(order).to.have.members(ids);
+  expect(daily.order(ids.slice().reverse(), '2019-04-13')).to.deep.equal(order);
+  const days = ['2019-04-14', '2019-04-15', '2019-04-16'];
+  expect(days.some((day) => daily.order(ids, day)[0] !== order[0])).to.be.true;
+  t.pass();
+});
+
+test.serial('tells everyone the same fact of the day', async function(t) {
+  const loaded = await loadCatalog();
+  const all = Object.keys(loaded.factsById);
+  const expected = daily.pick(loaded, '2019-04-13', all);
+  for (let i = 0; i < 2; i++) {
+    const conversation = new Simulator(testApp, {timeZone: 'America/New_York'});
+    (await conversation.send('fact_of_the_day'))
+      .expectOpen()
+      .expectSpeech(/^<speak>Here's today's Google fact\. /)
+      .expectCard(loaded.fact(expected).text)
+      .expectSuggestions('Sure', 'No thanks', 'Send me one every day');
+    expect(conversation.data.told).to.deep.equal([expected]);
+    const {category} = loaded.categoryOf(expected);
+    expect(conversation.data.facts[category]).to.not.include(expected);
+    if (i) {
+      // Asking again the same day tells the next fact of the day the user
+      // hasn't heard
+      await conversation.send('fact_of_the_day');
+      expect(conversation.data.told[1]).to.equal(daily.pick(loaded,
+        '2019-04-13', all.filter((id) => id !== expected)));
+    }
+  }
+  // It is already the next day in Tokyo
+  const tokyo = new Simulator(testApp, {timeZone: 'Asia/Tokyo'});
+  await tokyo.send('fact_of_the_day');
+  expect(tokyo.data.told).to.deep.equal([
+    daily.pick(loaded, '2019-04-14', all),
+  ]);
+  t.pass();
+});
+
+test.serial('only picks Google facts', async function(t) {
+  const loaded = await loadCatalog();
+  const all = Object.keys(loaded.factsById);
+  for (let day = 10; day < 30; day++) {
+    const id = daily.pick(loaded, `2019-04-${day}`, all);
+    expect(loaded.categoryOf(id).topic).to.be.undefined;
+  }
+  expect(daily.pick(loaded, '2019-04-13', loaded.find('cats').facts
+    .map((fact) => fact.id))).to.be.undefined;
+  t.pass();
+});
+
+test.serial('says goodbye once the user heard every Google fact',
+  async function(t) {
+    const conversation = new Simulator(testApp);
+    for (const [category, count] of [['history', 4], ['headquarters', 3]]) {
+      for (let i = 0; i < count; i++) {
+        await conversation.send('tell_fact', {category});
+      }
+    }
+    (await conversation.send('fact_of_the_day'))
+      .expectClosed()
+      .expectSpeech('Actually it looks like you heard it all. Thanks for ' +
+        'listening!');
+    t.pass();
+  });
+
+test.serial('only offers daily updates on surfaces with a screen',
+  async function(t) {
+    const speaker = new Simulator(testApp, {
+      capabilities: ['actions.capability.AUDIO_OUTPUT'],
+    });
+    (await speaker.send('fact_of_the_day'))
+      .expectNoCard()
+      .expectSuggestions('Sure', 'No thanks');
+    t.pass();
+  });
+
+test.serial('signs the user up for daily updates', async function(t) {
+  const conversation = new Simulator(testApp, {capabilities: PHONE});
+  await conversation.send('fact_of_the_day');
+  const turn = await conversation.send('setup_daily_updates');
+  expect(turn.google.systemIntent.intent)
+    .to.equal('actions.intent.REGISTER_UPDATE');
+  expect(turn.google.systemIntent.data).to.include({
+    intent: 'fact_of_the_day',
+  });
+  expect(turn.google.systemIntent.data.triggerContext.timeContext)
+    .to.deep.equal({frequency: 'DAILY'});
+  (await conversation.send('actions_intent_REGISTER_UPDATE', {}, {
+    input: 'actions.intent.REGISTER_UPDATE',
+    arguments: [{
+      name: 'REGISTER_UPDATE',
+      extension: {
+        '@type': 'type.googleapis.com/google.actions.v2.RegisterUpdateValue',
+        'status': 'OK',
+      },
+    }],
+  }))
+    .expectOpen()
+    .expectSpeech(/^Okay, I'll send you a Google fact every day\. /);
+  // Users who signed up aren't offered daily updates again
+  (await conversation.send('fact_of_the_day'))
+    .expectSuggestions('Sure', 'No thanks');
+  t.pass();
+});
@@ -0,0 +1,150 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for telling every fact of a category
+// hands-free.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const i18n = require('./../i18n');
+const render = require('./../render');
+const {loadedCatalogs, testApp} = require('./../index');
+const {Simulator} = require('./lib/simulator');
+
+const PURR = 'https://actions.google.com/sounds/v1/animals/cat_purr_close.ogg';
+const POP = 'https://actions.google.com/sounds/v1/cartoon/pop.ogg';
+
+/**
+ * Gets the media a response plays.
+ * @param {Turn} turn The turn.
+ * @return {Object|undefined} The media object, if the response plays one.
+ */
+const mediaOf = (turn) => {
+  const item = turn.items.find((item) => item.mediaResponse);
+  return item && item.mediaResponse.mediaObjects[0];
+};
+
+/**
+ * Tells the fulfillment how the media played ended.
+ * @param {Simulator} conversation The conversation.
+ * @param {string} status The status of the media, like FINISHED.
+ * @return {Promise<Turn>} The response.
+ */
+const mediaStatus = (conversation, status) =>
+  conversation.send('actions_intent_MEDIA_STATUS', {}, {
+    input: 'actions.intent.MEDIA_STATUS',
+    arguments: [{
+      name: 'MEDIA_STATUS',
+      extension: {
+        '@type': 'type.googleapis.com/google.actions.v2.MediaStatus',
+        'status': status,
+      },
+    }],
+  });
+
+test('plays a category a few facts at a time', async function(t) {
+  const conversation = new Simulator(testApp);
+  const turn = (await conversation.send('tell_everything',
+    {category: 'history'}))
+    .expectOpen()
+    .expectSpeech(new RegExp('^<speak>Okay, here are all my history ' +
+      'facts\\. .*<break time="1s"/>.*</speak>$'))
+    .expectContext('tell_everything-followup', {category: 'history'})
+    .expectSuggestions('Stop');
+  expect(mediaOf(turn)).to.deep.include({
+    name: 'History',
+    description: '1 fact left',
+    contentUrl: POP,
+  });
+  expect(conversation.data.facts.history).to.have.lengthOf(1);
+  expect(conversation.data.told).to.have.lengthOf(3);
+  const last = await mediaStatus(conversation, 'FINISHED');
+  last.expectSpeech(new RegExp('^<speak>.*</speak> Looks like you\'ve ' +
+    'heard all there is to know about the history of Google\\.'));
+  expect(mediaOf(last)).to.be.undefined;
+  expect(conversation.data.facts.history).to.be.empty;
+  expect(conversation.data.told).to.have.lengthOf(4);
+  expect(conversation.data.playing).to.be.undefined;
+  t.pass();
+});
+
+test('plays the sounds of a category between its facts', async function(t) {
+  const conversation = new Simulator(testApp);
+  const turn = (await conversation.send('tell_everything',
+    {category: 'cats'}))
+    .expectSpeech(new RegExp(`^<speak>Okay, here are all my cats facts\\. ` +
+      `[^<]+ <audio src="${PURR}"></audio> [^<]+ ` +
+      `<audio src="${PURR}"></audio> [^<]+</speak> `));
+  // Every cat fact was said at once, so there's nothing left to play
+  expect(mediaOf(turn)).to.be.undefined;
+  turn.expectSpeech(/Looks like you've heard all there is to know about cats/);
+  t.pass();
+});
+
+test('stops playing when asked to', async function(t) {
+  const conversation = new Simulator(testApp);
+  await conversation.send('tell_everything', {category: 'history'});
+  (await conversation.send('stop_everything'))
+    .expectSpeech('Okay, I\'ll stop there. Would you like to hear another ' +
+      'fact?')
+    .expectContext('choose_fact-followup', {category: 'history'})
+    .expectSuggestions('Sure', 'No thanks');
+  expect(conversation.data.playing).to.be.undefined;
+  expect(conversation.data.facts.history).to.have.lengthOf(1);
+  const other = new Simulator(testApp);
+  await other.send('tell_everything', {category: 'history'});
+  (await mediaStatus(other, 'STOPPED'))
+    .expectSpeech(/^Okay, I'll stop there\. /)
+    .expectContext('choose_fact-followup', {category: 'history'});
+  expect(other.turns[other.turns.length - 1]
+    .context('tell_everything-followup')).to.be.undefined;
+  t.pass();
+});
+
+test('plays the category last heard', async function(t) {
+  const conversation = new Simulator(testApp);
+  await conversation.send('choose_fact', {category: 'headquarters'});
+  (await conversation.send('tell_everything'))
+    .expectSpeech(/^<speak>Okay, here are all my headquarters facts\. /)
+    .expectSpeech(/all there is to know about the headquarters of Google/);
+  expect(conversation.data.facts.headquarters).to.be.empty;
+  t.pass();
+});
+
+test('says the facts at once without media', async function(t) {
+  const conversation = new Simulator(testApp, {
+    capabilities: ['actions.capability.AUDIO_OUTPUT'],
+  });
+  const turn = (await conversation.send('tell_everything',
+    {category: 'history'}))
+    .expectSpeech(new RegExp('^<speak>Okay, here are all my history ' +
+      'facts\\. (.*<break time="1s"/>){3}.*</speak> Looks like you\'ve ' +
+      'heard all'));
+  expect(mediaOf(turn)).to.be.undefined;
+  expect(conversation.data.facts.history).to.be.empty;
+  t.pass();
+});
+
+test('plays the sounds of a category as media', async function(t) {
+  const conv = {bundle: i18n.responses('en-US')};
+  const cats = (await loadedCatalogs).en.find('cats');
+  expect(render.interlude(conv, cats, 2)).to.deep.include({
+    name: 'Cats',
+    description: '2 facts left',
+    contentUrl: PURR,
+  });
+  expect(render.interlude(conv, {suggestion: 'History'}, 1).contentUrl)
+    .to.equal(POP);
+  t.pass();
+});
@@ -0,0 +1,82 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for the stores of the facts users heard.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const history = require('./../history');
+
+/**
+ * Creates the part of a conversation the stores use.
+ * @param {Object=} storage The user storage of the conversation.
+ * @return {Object} The conversation.
+ */
+const conversation = (storage = {}) => ({user: {storage}});
+
+test('keeps histories in memory per user', async function(t) {
+  const store = history.store('memory');
+  const alice = conversation();
+  const bob = conversation();
+  await store.record(alice, 'a');
+  await store.record(alice, 'b');
+  await store.record(bob, 'c');
+  expect(await store.load(alice)).to.deep.equal(['a', 'b']);
+  expect(await store.load(conversation(alice.user.storage))).to.deep.equal([
+    'a', 'b',
+  ]);
+  await store.clear(alice);
+  expect(await store.load(alice)).to.be.empty;
+  expect(await store.load(bob)).to.deep.equal(['c']);
+  t.pass();
+});
+
+test('keeps the most recent history in user storage', async function(t) {
+  const store = history.store();
+  const conv = conversation();
+  for (let i = 0; i < 205; i++) {
+    await store.record(conv, `${i}`);
+  }
+  const heard = await store.load(conv);
+  expect(heard).to.have.lengthOf(200);
+  expect(heard[0]).to.equal('5');
+  await store.clear(conv);
+  expect(conv.user.storage).to.not.have.key('heard');
+  t.pass();
+});
+
+test('keeps histories in a Firestore document per user', async function(t) {
+  const docs = {};
+  const db = {
+    collection: (name) => ({
+      doc: (id) => ({
+        get: async () => ({
+          exists: !!docs[`${name}/${id}`],
+          data: () => docs[`${name}/${id}`],
+        }),
+        delete: async () => {
+          delete docs[`${name}/${id}`];
+        },
+      }),
+    }),
+  };
+  const store = history.firestore('history', db);
+  const conv = conversation({historyId: 'user'});
+  expect(await store.load(conv)).to.be.empty;
+  docs['history/user'] = {heard: ['a']};
+  expect(await store.load(conv)).to.deep.equal(['a']);
+  await store.clear(conv);
+  expect(docs).to.be.empty;
+  t.pass();
+});
@@ -0,0 +1,82 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for the locale response bundles.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const i18n = require('./../i18n');
+
+test('selects the language of a locale', function(t) {
+  expect(i18n.language('fr-FR')).to.equal('fr');
+  expect(i18n.language('de-AT')).to.equal('de');
+  expect(i18n.language('ja-JP')).to.equal('ja');
+  expect(i18n.language('es-ES')).to.equal('en');
+  expect(i18n.language(undefined)).to.equal('en');
+  t.pass();
+});
+
+test('falls back to English per string', function(t) {
+  const bundle = i18n.bundles.de;
+  const nextFact = bundle.general.nextFact;
+  delete bundle.general.nextFact;
+  try {
+    const {merge} = require('./../util');
+    const merged = merge(i18n.bundles.en, bundle);
+    expect(merged.general.nextFact).to.equal(
+      'Would you like to hear another fact?');
+    expect(merged.general.linkOut).to.equal('Mehr erfahren');
+    expect(i18n.missingKeys(bundle)).to.deep.equal(['general.nextFact']);
+  } finally {
+    bundle.general.nextFact = nextFact;
+  }
+  t.pass();
+});
+
+test('every locale bundle has every key', function(t) {
+  for (const language of i18n.Languages) {
+    expect(i18n.missingKeys(i18n.bundles[language]), language).to.be.empty;
+  }
+  t.pass();
+});
+
+test('formats templates by position', function(t) {
+  expect(i18n.format(i18n.responses('en-US').transitions.content.heardItAll,
+    'history', 'headquarters')).to.equal('Looks like you\'ve heard all ' +
+    'there is to know about the history of Google. I could tell you about ' +
+    'its headquarters instead.');
+  expect(i18n.format('%2$s, %1$s', 'a', 'b')).to.equal('b, a');
+  t.pass();
+});
+
+test('joins lists the way each language does', function(t) {
+  const words = ['history', 'headquarters', 'cats'];
+  expect(i18n.list(i18n.responses('en'), words)).to.equal(
+    'history, headquarters or cats');
+  expect(i18n.list(i18n.responses('de'), words.slice(1))).to.equal(
+    'headquarters oder cats');
+  expect(i18n.list(i18n.responses('fr'), ['histoire'])).to.equal('histoire');
+  t.pass();
+});
+
+test('formats the template matching a count', function(t) {
+  const {quit} = i18n.responses('en').general;
+  expect(i18n.plural(quit, 0)).to.equal(
+    'Okay, you\'ve heard every fact I have. Thanks for listening!');
+  expect(i18n.plural(quit, 1)).to.equal(
+    'Okay, I\'ll keep my last fact for next time. Bye!');
+  expect(i18n.plural(quit, 2)).to.equal(
+    'Okay, I still have 2 facts for next time. Bye!');
+  t.pass();
+});
@@ -20,6 +20,8 @@ const {expect} = require('chai');
 const fs = require('fs');
 const path = require('path');
 const {testApp} = require('./../index');
+const selection = require('./../selection');
+const ssml = require('./../ssml');
 const test = require('ava');
 
 /**
@@ -106,3 +108,421 @@ test.serial('yes-history-sure', async function(t) {
     ]);
   t.pass();
 });
+
+/*
+This test asserts various properties about the response received from
+triggering your fulfillment with test/static/choose-cats.json. Particularly,
+it checks that the cats bonus topic from the fact catalog is served with its
+own sound, image and link.
+
+Note, test/static/choose-cats.json represents the AppRequest sent to your
+fulfillment when user says "Tell me about cats" in the following
+conversation:
+- Talk to my test app
+- <Facts about Google response>
+- Tell me about cats
+*/
+test.serial('choose-cats', async function(t) {
+  const jsonRes = await getAppResponse('choose-cats');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items).to.have.lengthOf(3);
+  const speech = items[0].simpleResponse.textToSpeech;
+  expect(speech).to.match(/^<speak>Alright, here's a cat fact\. <audio/);
+  expect(ssml.validate(speech)).to.be.empty;
+  expect(speech).to.include('<audio src="https://actions.google.com/' +
+    'sounds/v1/animals/cat_purr_close.ogg"></audio> Cats');
+  expect(items[2].basicCard.image.accessibilityText).to.equal('Gray Cat');
+  expect(items[2].basicCard.buttons[0].openUrlAction.url).to.equal(
+    'https://www.google.com/search?q=cats');
+  expect(jsonRes.payload.google.richResponse.suggestions).to
+    .have.deep.members([
+      {'title': 'Sure'}, {'title': 'No thanks'},
+    ]);
+  t.pass();
+});
+
+/*
+This test asserts that the response received from triggering your
+fulfillment with test/static/yes-history-fr.json is in French, the locale of
+the user, both for the responses and for the facts of the catalog.
+
+Note, test/static/yes-history-fr.json represents the AppRequest sent to your
+fulfillment when a French user says "Histoire" in the following
+conversation:
+- Parler avec mon application test
+- <Facts about Google response>
+- Oui
+- <Facts about Google response>
+- Histoire
+*/
+test.serial('yes-history-fr', async function(t) {
+  const jsonRes = await getAppResponse('yes-history-fr');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items).to.have.lengthOf(3);
+  expect(items[0].simpleResponse.displayText).to.equal(
+    'Bien sûr, voici une anecdote sur l\'histoire.');
+  expect(items[1].simpleResponse.textToSpeech).to.equal(
+    'Voulez-vous entendre une autre anecdote ?');
+  expect(items[2].basicCard.buttons[0].title).to.equal('En savoir plus');
+  expect(jsonRes.payload.google.richResponse.suggestions).to
+    .have.deep.members([
+      {'title': 'Oui'}, {'title': 'Non merci'},
+    ]);
+  t.pass();
+});
+
+/*
+This test asserts that a returning user doesn't hear the facts they heard in
+earlier conversations. test/static/yes-history-returning.json is the same
+request as test/static/yes-history.json, from a user whose user storage
+records that they heard every history fact but one. Their history was
+recorded before facts had stable ids, so it holds legacy ids.
+*/
+test.serial('yes-history-returning', async function(t) {
+  const jsonRes = await getAppResponse('yes-history-returning');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[2].basicCard.title).to.equal(
+    'Google has more than 70 offices in more than 40 countries.');
+  const storage = JSON.parse(jsonRes.payload.google.userStorage);
+  expect(storage.data.heard).to.deep.equal([
+    '7dbb93641b', '4707a7ddd4', '700cbe123a', 'history-offices',
+  ]);
+  t.pass();
+});
+
+/*
+This test asserts that saying "Reset my history", as in
+test/static/reset-history.json, forgets the facts the user heard.
+*/
+test.serial('reset-history', async function(t) {
+  const jsonRes = await getAppResponse('reset-history');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  expect(jsonRes.payload.google.richResponse.items[0].simpleResponse
+    .textToSpeech).to.match(/^Okay, I forgot every fact I told you\./);
+  const storage = JSON.parse(jsonRes.payload.google.userStorage);
+  expect(storage.data).to.not.have.key('heard');
+  const data = JSON.parse(jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/_actions_on_google')).parameters.data);
+  expect(data.facts.history).to.have.lengthOf(4);
+  t.pass();
+});
+
+/*
+This test asserts that a conversation started before facts had stable ids
+goes on where it left off. test/static/yes-history-sure-legacy.json is the
+same request as test/static/yes-history-sure.json, with conversation data
+holding the full text of the facts left and the cat facts apart.
+*/
+test.serial('yes-history-sure-legacy', async function(t) {
+  const jsonRes = await getAppResponse('yes-history-sure-legacy');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[2].basicCard.title).to.equal('Google went public in 2004.');
+  const data = JSON.parse(jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/_actions_on_google')).parameters.data);
+  expect(data).to.deep.equal({
+    facts: {
+      headquarters: ['hq-location', 'hq-cafeterias', 'hq-fitness'],
+      history: [],
+      cats: ['cats-animals'],
+    },
+    told: ['history-ipo'],
+    lastResponse: {
+      fact: 'history-ipo',
+      prefix: 'Sure, here\'s a history fact.',
+    },
+    lastQuestion: 'Would you like to hear another fact?',
+  });
+  t.pass();
+});
+
+/*
+This test asserts that once every history fact was told, as in
+test/static/yes-history-sure-exhausted.json, the user is only offered the
+categories that still have facts left: headquarters, but not cats.
+*/
+test.serial('yes-history-sure-exhausted', async function(t) {
+  const jsonRes = await getAppResponse('yes-history-sure-exhausted');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items).to.have.lengthOf(1);
+  expect(items[0].simpleResponse.textToSpeech).to.equal('Looks like ' +
+    'you\'ve heard all there is to know about the history of Google. I ' +
+    'could tell you about its headquarters instead. So what would you ' +
+    'like to hear about?');
+  expect(jsonRes.payload.google.richResponse.suggestions).to
+    .have.deep.members([{'title': 'Headquarters'}]);
+  const context = jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/choose_fact-followup'));
+  expect(context.parameters).to.deep.equal({category: 'headquarters'});
+  t.pass();
+});
+
+/*
+This test asserts that asking for a category that isn't in the fact catalog,
+as in test/static/tell-fact-unknown.json, offers the categories that still
+have facts left instead.
+*/
+test.serial('tell-fact-unknown', async function(t) {
+  const jsonRes = await getAppResponse('tell-fact-unknown');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('Sorry, I don\'t ' +
+    'have facts about that. I can tell you about Google\'s headquarters. ' +
+    'By the way, I can tell you about cats too. So what would you like to ' +
+    'hear about?');
+  expect(jsonRes.payload.google.richResponse.suggestions).to
+    .have.deep.members([{'title': 'Headquarters'}, {'title': 'Cats'}]);
+  t.pass();
+});
+
+/*
+This test asserts the exact fact told for test/static/yes-history.json, by
+seeding the selection of facts so it is the same on every run.
+*/
+test.serial('yes-history-seeded', async function(t) {
+  selection.seed(2019);
+  try {
+    const jsonRes = await getAppResponse('yes-history');
+    const items = jsonRes.payload.google.richResponse.items;
+    expect(items[0].simpleResponse.textToSpeech).to.equal('<speak>Sure, ' +
+      'here\'s a history fact. Google went public in ' +
+      '<say-as interpret-as="date" format="y">2004</say-as>.</speak>');
+    expect(items[2].basicCard.title).to.equal('Google went public in 2004.');
+  } finally {
+    selection.seed();
+  }
+  t.pass();
+});
+
+/*
+This test asserts that the first time the user doesn't answer, as in
+test/static/no-input.json, they are reprompted with the first of the no input
+messages followed by the last question they were asked.
+*/
+test.serial('no-input', async function(t) {
+  const jsonRes = await getAppResponse('no-input');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('I didn\'t hear ' +
+    'that. Would you like to hear another fact?');
+  const data = JSON.parse(jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/_actions_on_google')).parameters.data);
+  expect(data.noInputs).to.equal(1);
+  t.pass();
+});
+
+/*
+This test asserts that the final reprompt, as in
+test/static/no-input-final.json, closes the conversation with the last of the
+no input messages.
+*/
+test.serial('no-input-final', async function(t) {
+  const jsonRes = await getAppResponse('no-input-final');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.false;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal(
+    'We can stop here. See you soon.');
+  t.pass();
+});
+
+/*
+This test asserts that a new user, as in test/static/welcome.json, is welcomed
+and offered every main category.
+*/
+test.serial('welcome', async function(t) {
+  const jsonRes = await getAppResponse('welcome');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('Welcome to Facts ' +
+    'about Google! Do you want to hear about Google\'s headquarters or ' +
+    'history?');
+  expect(jsonRes.payload.google.richResponse.suggestions).to
+    .have.deep.members([{'title': 'Headquarters'}, {'title': 'History'}]);
+  t.pass();
+});
+
+/*
+This test asserts that a returning user who heard every history fact, as in
+test/static/welcome-returning.json, is welcomed back and only offered the
+categories they haven't heard all of.
+*/
+test.serial('welcome-returning', async function(t) {
+  const jsonRes = await getAppResponse('welcome-returning');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('Welcome back to ' +
+    'Facts about Google! Do you want to hear more about Google\'s ' +
+    'headquarters?');
+  expect(jsonRes.payload.google.richResponse.suggestions).to
+    .have.deep.members([{'title': 'Headquarters'}]);
+  t.pass();
+});
+
+/*
+This test asserts that quitting, as in test/static/quit-facts.json, closes the
+conversation telling the user how many facts are left.
+*/
+test.serial('quit-facts', async function(t) {
+  const jsonRes = await getAppResponse('quit-facts');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.false;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal(
+    'Okay, I still have 9 facts for next time. Bye!');
+  t.pass();
+});
+
+/*
+These tests assert that in dialog fallbacks escalate: test/static/
+in-dialog-fallback.json asks the user to rephrase,
+test/static/in-dialog-fallback-again.json offers the categories left and
+test/static/in-dialog-fallback-final.json ends the conversation.
+*/
+test.serial('in-dialog-fallback', async function(t) {
+  const jsonRes = await getAppResponse('in-dialog-fallback');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal(
+    'Sorry, what was that? Could you say it another way?');
+  t.pass();
+});
+
+test.serial('in-dialog-fallback-again', async function(t) {
+  const jsonRes = await getAppResponse('in-dialog-fallback-again');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('Sorry, I still ' +
+    'didn\'t get that. I can tell you about Google\'s headquarters or ' +
+    'history. By the way, I can tell you about cats too. So what would ' +
+    'you like to hear about?');
+  expect(jsonRes.payload.google.richResponse.suggestions).to.have.deep
+    .members([{'title': 'Headquarters'}, {'title': 'History'},
+      {'title': 'Cats'}]);
+  t.pass();
+});
+
+test.serial('in-dialog-fallback-final', async function(t) {
+  const jsonRes = await getAppResponse('in-dialog-fallback-final');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.false;
+  t.pass();
+});
+
+/*
+This test asserts that asking to repeat, as in test/static/repeat.json, says
+the last fact again without telling a new one.
+*/
+test.serial('repeat', async function(t) {
+  const jsonRes = await getAppResponse('repeat');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('<speak>Sure, ' +
+    'here\'s a history fact. Google went public in ' +
+    '<say-as interpret-as="date" format="y">2004</say-as>.</speak>');
+  expect(items[2].basicCard.title).to.equal('Google went public in 2004.');
+  const data = JSON.parse(jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/_actions_on_google')).parameters.data);
+  expect(data.told).to.deep.equal(['hq-location', 'history-ipo']);
+  expect(data.facts.history).to.have.lengthOf(2);
+  t.pass();
+});
+
+/*
+These tests assert that going back, as in test/static/previous-fact.json,
+says the fact told before the last one and lets the user go on with its
+category, until there is no fact before, as in
+test/static/previous-fact-none.json.
+*/
+test.serial('previous-fact', async function(t) {
+  const jsonRes = await getAppResponse('previous-fact');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('<speak>Here\'s ' +
+    'the fact before that. Google was founded in ' +
+    '<say-as interpret-as="date" format="y">1998</say-as>.</speak>');
+  const context = jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/choose_fact-followup'));
+  expect(context.parameters).to.deep.equal({category: 'history'});
+  const data = JSON.parse(jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/_actions_on_google')).parameters.data);
+  expect(data.position).to.equal(1);
+  t.pass();
+});
+
+test.serial('previous-fact-none', async function(t) {
+  const jsonRes = await getAppResponse('previous-fact-none');
+  expect(jsonRes.payload.google.expectUserResponse).to.be.true;
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('That was the ' +
+    'first fact I told you. Would you like to hear another fact?');
+  t.pass();
+});
+
+/*
+This test asserts that asking for the first fact, as in
+test/static/first-fact.json, says the first fact told in the conversation.
+*/
+test.serial('first-fact', async function(t) {
+  const jsonRes = await getAppResponse('first-fact');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('<speak>Sure, ' +
+    'here\'s the first fact I told you. Google\'s headquarters is in ' +
+    'Mountain View, California.</speak>');
+  const context = jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/choose_fact-followup'));
+  expect(context.parameters).to.deep.equal({category: 'headquarters'});
+  t.pass();
+});
+
+/*
+This test asserts that on a speaker, as in
+test/static/yes-history-sure-speaker.json, the fact is spoken without a card.
+*/
+test.serial('yes-history-sure-speaker', async function(t) {
+  const jsonRes = await getAppResponse('yes-history-sure-speaker');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items).to.have.lengthOf(2);
+  expect(ssml.validate(items[0].simpleResponse.textToSpeech)).to.be.empty;
+  expect(items[0].simpleResponse.displayText).to.match(
+    /^Sure, here's a history fact\. Google/);
+  t.pass();
+});
+
+/*
+This test asserts that a speaker user with a phone, as in
+test/static/yes-history-sure-handoff.json, is offered to see the fact on it,
+and test/static/new-surface.json that the card shows up once they accept.
+*/
+test.serial('yes-history-sure-handoff', async function(t) {
+  const jsonRes = await getAppResponse('yes-history-sure-handoff');
+  const {google} = jsonRes.payload;
+  expect(google.richResponse.items).to.have.lengthOf(1);
+  expect(google.systemIntent.intent).to.equal('actions.intent.NEW_SURFACE');
+  expect(google.systemIntent.data.capabilities).to.deep.equal([
+    'actions.capability.SCREEN_OUTPUT', 'actions.capability.WEB_BROWSER',
+  ]);
+  const data = JSON.parse(jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/_actions_on_google')).parameters.data);
+  expect(data.offeredScreen).to.be.true;
+  t.pass();
+});
+
+test.serial('new-surface', async function(t) {
+  const jsonRes = await getAppResponse('new-surface');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal(
+    'Would you like to hear another fact?');
+  expect(items[1].basicCard.title).to.equal('Google went public in 2004.');
+  expect(items[1].basicCard.buttons).to.have.lengthOf(1);
+  t.pass();
+});
+
+/*
+This test asserts that on a text only surface, as in
+test/static/choose-cats-text.json, the cat fact has no SSML audio.
+*/
+test.serial('choose-cats-text', async function(t) {
+  const jsonRes = await getAppResponse('choose-cats-text');
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.not.include('<speak>');
+  expect(items[0].simpleResponse.textToSpeech).to.match(
+    /^Alright, here's a cat fact\./);
+  expect(items[2].basicCard).to.have.property('buttons');
+  t.pass();
+});
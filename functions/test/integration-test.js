@@ -18,6 +18,8 @@
 const test = require('ava');
 const {expect} = require('chai');
 const {DialogflowApiFactory} = require('./lib/df-api.js');
+const {MockDialogflow} = require('./lib/mock-dialogflow.js');
+const {testApp} = require('./../index');
 const uuid = require('uuid');
 
 /* ====== Substitute the following variables (START) ===== */
@@ -28,17 +30,32 @@ const pathToServiceAccount = 'path/to/key.json';
 const sessionId = uuid.v1();
 /* ====== Substitute the following variables (END) ======= */
 
-const serviceAccount = require(pathToServiceAccount);
+// Set DIALOGFLOW_LIVE to run the tests against the agent on Dialogflow,
+// otherwise they run against a local mock of it, loaded from agent.zip
+const live = !!process.env.DIALOGFLOW_LIVE;
+let mock = undefined;
 let dialogflow = undefined;
 
 test.before(async function(t) {
+  let baseUrl = undefined;
+  if (!live) {
+    mock = new MockDialogflow(testApp);
+    baseUrl = await mock.listen();
+  }
   dialogflow = await DialogflowApiFactory.create({
     projectId: projectId,
-    serviceAccount: serviceAccount,
+    serviceAccount: live ? require(pathToServiceAccount) : undefined,
     sessionId: sessionId,
+    baseUrl: baseUrl,
   });
 });
 
+test.after.always(async function(t) {
+  if (mock) {
+    await mock.close();
+  }
+});
+
 test.afterEach(async function(t) {
   await dialogflow.clearSession(sessionId);
 });
@@ -0,0 +1,40 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for serving requests with a fact catalog
+// that fails to load.
+'use strict';
+
+const {expect} = require('chai');
+const path = require('path');
+const test = require('ava');
+
+const unhandled = [];
+process.on('unhandledRejection', (e) => unhandled.push(e));
+
+process.env.FACTS_CATALOG =
+  path.join(__dirname, 'fixtures', 'catalog', 'invalid');
+const {testApp} = require('./../index');
+
+test('apologizes when the catalog fails to load', async function(t) {
+  // Give the catalog time to fail before the first request
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  expect(unhandled).to.be.empty;
+  const jsonRes = await testApp(require('./static/yes-history-sure.json'),
+    {});
+  expect(jsonRes.status).to.equal(200);
+  expect(jsonRes.body.payload.google.expectUserResponse).to.be.false;
+  expect(jsonRes.body.payload.google.richResponse.items[0].simpleResponse
+    .textToSpeech).to.match(/^Sorry, something went wrong on my end\./);
+  t.pass();
+});
@@ -19,7 +19,10 @@
  *
  */
 const fetch = require('node-fetch');
-const {GoogleApis} = require('googleapis');
+const logger = require('../../logger');
+
+/** Where the Dialogflow API is, unless a base URL is given */
+const DEFAULT_BASE_URL = 'https://dialogflow.googleapis.com';
 
 /**
  * Utility class. It should not be exported directly.
@@ -34,13 +37,17 @@ const {GoogleApis} = require('googleapis');
 class DialogflowApi {
   /**
    *
-   * @param {Object} jwtTokens
+   * @param {Object?} jwtTokens null to send requests without authorization,
+   *  like to a local mock of Dialogflow
    * @param {string} projectId
    * @param {string?} lang (defaults to english)
    * @param {number} sessionId
+   * @param {string?} baseUrl (defaults to the Dialogflow API)
    */
-  constructor(jwtTokens, projectId, lang = 'en', sessionId) {
-    if (!jwtTokens || !projectId || !lang || !sessionId) {
+  constructor(jwtTokens, projectId, lang = 'en', sessionId,
+    baseUrl = DEFAULT_BASE_URL) {
+    if (typeof jwtTokens === 'undefined' || !projectId || !lang ||
+      !sessionId) {
       throw new Error(`Got ${jwtTokens}, ${projectId}, ${lang}, ${sessionId};`
         + ` expect all arguments non-null.`);
     }
@@ -48,6 +55,23 @@ class DialogflowApi {
     this.projectId = projectId;
     this.lang = lang;
     this.sessionId = sessionId;
+    this.baseUrl = baseUrl;
+    // Logged redacted, set LOG_LEVEL to debug to see the responses
+    this.log = logger.log.child({sessionId});
+  }
+
+  /**
+   * Private utility function to create the headers of a request.
+   * @return {Object} headers, with authorization unless it is bypassed
+   */
+  createHeaders_() {
+    const headers = {
+      'content-type': 'application/json',
+    };
+    if (this.jwtTokens) {
+      headers['Authorization'] = 'Bearer ' + this.jwtTokens.access_token;
+    }
+    return headers;
   }
 
   /**
@@ -57,7 +81,6 @@ class DialogflowApi {
    */
   createSession_(sessionId) {
     const session = `projects/${this.projectId}/agent/sessions/${sessionId}`;
-    console.log('Trying the session: ' + session);
     return session;
   }
 
@@ -85,17 +108,15 @@ class DialogflowApi {
       },
     };
     const options = {
-      headers: {
-        'content-type': 'application/json',
-        'Authorization': 'Bearer ' + this.jwtTokens.access_token,
-      },
+      headers: this.createHeaders_(),
       method: 'POST',
       body: JSON.stringify(body),
     };
-    const res = await fetch(`https://dialogflow.googleapis.com/v2/${this.createSession_(this.sessionId)}:detectIntent`, options);
+    const session = this.createSession_(this.sessionId);
+    const res = await fetch(
+      `${this.baseUrl}/v2/${session}:detectIntent`, options);
     const resJson = await res.json();
-    console.log(`Received response from Dialogflow:`
-      + ` ${JSON.stringify(resJson)}`);
+    this.log.debug('Received response from Dialogflow', {response: resJson});
     return resJson;
   };
 
@@ -110,26 +131,28 @@ class DialogflowApi {
       'parent': this.sessionId,
     };
     const options = {
-      headers: {
-        'content-type': 'application/json',
-        'Authorization': `Bearer ${this.jwtTokens.access_token}`,
-      },
+      headers: this.createHeaders_(),
       method: 'DELETE',
       body: JSON.stringify(body),
     };
-    const res = await fetch(`https://dialogflow.googleapis.com/v2/${this.createSession_(this.sessionId)}/contexts`, options);
+    const session = this.createSession_(this.sessionId);
+    const res = await fetch(`${this.baseUrl}/v2/${session}/contexts`,
+      options);
     const resJson = await res.json();
-    console.log(`Received response from Dialogflow: ${resJson}`);
+    this.log.debug('Cleared session', {response: resJson});
     return resJson;
   }
 }
 
 /**
  * @typedef Params
- * @property {Object} serviceAccount
+ * @property {Object?} serviceAccount leave out to bypass authorization,
+ *  like for a local mock of Dialogflow
  * @property {string} projectId
  * @property {string} lang
  * @property {number} sessionId
+ * @property {string?} baseUrl where the Dialogflow API is, like the URL of
+ *  a local mock. Defaults to $DIALOGFLOW_API_URL or the Dialogflow API.
  */
 
 /**
@@ -145,13 +168,14 @@ class DialogflowApiFactory {
     if (!params) {
       throw new Error('params must not be empty.');
     }
-    const tokens =
-      await DialogflowApiFactory.getJwtTokens_(params.serviceAccount);
+    const tokens = params.serviceAccount ?
+      await DialogflowApiFactory.getJwtTokens_(params.serviceAccount) : null;
     return new DialogflowApi(
       tokens,
       params.projectId,
       params.lang,
-      params.sessionId
+      params.sessionId,
+      params.baseUrl || process.env.DIALOGFLOW_API_URL
     );
   }
 
@@ -162,6 +186,8 @@ class DialogflowApiFactory {
    * @return {Promise<Object>} promise that resolves to credentials.
    */
   static getJwtTokens_(serviceAccount) {
+    // Only needed with authorization, so mocks run without googleapis
+    const {GoogleApis} = require('googleapis');
     const googleapis = new GoogleApis();
     const jwtClient = new googleapis.auth.JWT(
       serviceAccount.client_email,
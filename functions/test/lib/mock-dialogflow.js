@@ -0,0 +1,421 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+/**
+ * A local stand-in for the Dialogflow API, so tests written against it run
+ * with no network. It serves the detectIntent and deleteContexts methods
+ * used by df-api.js for the agent in agent.zip: it matches queries to the
+ * training phrases of the intents, keeps the contexts of every session and
+ * calls the local fulfillment for the intents that use the webhook.
+ * Matching is much simpler than Dialogflow's: a query matches the training
+ * phrase sharing the most words with it, entity values included.
+ * @example
+ * const mock = new MockDialogflow(testApp);
+ * const baseUrl = await mock.listen();
+ * dialogflow = await DialogflowApiFactory.create({
+ *   projectId: projectId,
+ *   sessionId: sessionId,
+ *   baseUrl: baseUrl,
+ * });
+ */
+const http = require('http');
+const uuid = require('uuid');
+const agents = require('../../scripts/lib/agent');
+const {PHONE} = require('./simulator');
+
+/** The least share of words a query has in common with a training phrase */
+const MATCH_THRESHOLD = 0.6;
+
+/** Bonus of intents that require contexts, which Dialogflow favors */
+const CONTEXT_BONUS = 0.1;
+
+/** The paths served, the session and the method on it */
+const SESSION_PATH = new RegExp('^/v2/(projects/[^/]+/agent/sessions/' +
+  '([^/:]+))(:detectIntent|/contexts)$');
+
+/**
+ * Private utility function to normalize text to compare it, lowercase with
+ * only words and spaces.
+ * @param {string} text
+ * @return {string} normalized text
+ */
+const normalize_ = (text) => text.toLowerCase()
+  .replace(/’/g, '\'')
+  .replace(/[^\w' ]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Private utility function to compute how many words two texts share.
+ * @param {Array<string>} a words of one text
+ * @param {Array<string>} b words of the other text
+ * @return {number} score between 0 and 1, 1 when the words are the same
+ */
+const similarity_ = (a, b) => {
+  const rest = b.slice();
+  const common = a.filter((word) => {
+    const i = rest.indexOf(word);
+    return i >= 0 && rest.splice(i, 1);
+  }).length;
+  return a.length + b.length ? 2 * common / (a.length + b.length) : 0;
+};
+
+/**
+ * Mock of the Dialogflow API for one agent.
+ */
+class MockDialogflow {
+  /**
+   * @param {function(Object, Object): Promise<Object>} app the fulfillment,
+   *  like testApp
+   * @param {Object?} options
+   * @param {Object?} options.agent the agent, defaults to agent.zip
+   * @param {Object?} options.payload the payload the Assistant would send
+   *  along with every request, defaults to the one of a phone
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.agent = options.agent || agents.read();
+    this.payload = options.payload;
+    /** The active contexts of every session, by name */
+    this.sessions = {};
+    /** The synonyms of every entity, by entity type */
+    this.synonyms = {};
+    for (const entity of this.agent.entities) {
+      this.synonyms[`@${entity.name}`] = [].concat(...entity.entries
+        .map((entry) => entry.synonyms.map((synonym) => ({
+          text: normalize_(synonym),
+          value: entry.value,
+        }))))
+        // Try the longest synonyms first, like "Google's history"
+        .sort((a, b) => b.text.length - a.text.length);
+    }
+    this.server = http.createServer((req, res) => this.handle_(req, res));
+  }
+
+  /**
+   * Starts serving requests.
+   * @param {number?} port defaults to any free port
+   * @return {Promise<string>} base URL of the mock, to create DialogflowApi
+   */
+  listen(port = 0) {
+    return new Promise((resolve) => {
+      this.server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Stops serving requests.
+   * @return {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Private utility function to serve a request.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  handle_(req, res) {
+    let body = '';
+    req.on('data', (chunk) => body += chunk);
+    req.on('end', async () => {
+      const send = (status, json) => {
+        res.writeHead(status, {'content-type': 'application/json'});
+        res.end(JSON.stringify(json));
+      };
+      const [, session, id, method] = SESSION_PATH
+        .exec(decodeURIComponent(req.url)) || [];
+      try {
+        if (req.method === 'POST' && method === ':detectIntent') {
+          return send(200, await this.detectIntent(session, JSON.parse(body)));
+        }
+        if (req.method === 'DELETE' && method === '/contexts') {
+          delete this.sessions[id];
+          return send(200, {});
+        }
+        send(404, {error: {code: 404, message: `No route ${req.url}`,
+          status: 'NOT_FOUND'}});
+      } catch (e) {
+        send(500, {error: {code: 500, message: e.message,
+          status: 'INTERNAL'}});
+      }
+    });
+  }
+
+  /**
+   * Matches a query to an intent and fulfills it, like
+   * https://cloud.google.com/dialogflow-enterprise/docs/reference/rest/v2/projects.agent.sessions/detectIntent
+   * @param {string} session full name of the session
+   * @param {Object} body detectIntent request
+   * @return {Promise<Object>} detectIntent response
+   */
+  async detectIntent(session, body) {
+    const id = session.split('/').pop();
+    const active = this.sessions[id] = this.sessions[id] || {};
+    const {text, event} = body.queryInput;
+    const queryText = text ? text.text : event.name;
+    const languageCode = (text || event).languageCode || 'en';
+    const match = text ? this.match_(text.text, active) :
+      this.matchEvent_(event.name);
+    const {intent, entities, confidence} = match;
+    const response = intent.responses[0];
+    // Resolve the parameters from the query or from active contexts
+    const parameters = {};
+    let missing;
+    for (const parameter of response.parameters) {
+      const [, source, name] = /^([$#])(.*)$/.exec(parameter.value) || [];
+      const [context, contextParameter] = (name || '').split('.');
+      const value = source === '$' ? entities[name] :
+        source === '#' && active[context] ?
+          active[context].parameters[contextParameter] : undefined;
+      parameters[parameter.name] = typeof value === 'undefined' ? '' : value;
+      if (parameter.required && !parameters[parameter.name] && !missing) {
+        missing = parameter;
+      }
+    }
+    // Every match counts down the lifespan of the active contexts, then the
+    // intent sets its own
+    if (response.resetContexts) {
+      Object.keys(active).forEach((name) => delete active[name]);
+    }
+    for (const name of Object.keys(active)) {
+      if (--active[name].lifespanCount <= 0) {
+        delete active[name];
+      }
+    }
+    for (const context of response.affectedContexts) {
+      if (context.lifespan > 0) {
+        active[context.name] = {lifespanCount: context.lifespan, parameters};
+      } else {
+        delete active[context.name];
+      }
+    }
+    const queryResult = {
+      queryText,
+      parameters,
+      allRequiredParamsPresent: !missing,
+      intent: {
+        name: `projects/${session.split('/')[1]}/agent/intents/${intent.id}`,
+        displayName: intent.name,
+      },
+      intentDetectionConfidence: confidence,
+      languageCode,
+    };
+    let fulfillmentText = missing ? missing.prompts[0].value :
+      this.staticSpeech_(response);
+    if (!missing && intent.webhookUsed) {
+      const webhook = await this.callWebhook_(session, queryResult, body);
+      for (const context of webhook.outputContexts || []) {
+        const name = context.name.split('/').pop();
+        if (context.lifespanCount > 0) {
+          active[name] = {
+            lifespanCount: context.lifespanCount,
+            parameters: context.parameters || {},
+          };
+        } else {
+          delete active[name];
+        }
+      }
+      queryResult.webhookPayload = webhook.payload;
+      fulfillmentText = webhook.fulfillmentText || this.webhookSpeech_(webhook);
+    }
+    return {
+      responseId: uuid.v4(),
+      queryResult: Object.assign(queryResult, {
+        fulfillmentText,
+        fulfillmentMessages: [{text: {text: [fulfillmentText]}}],
+        outputContexts: this.outputContexts_(session),
+      }),
+    };
+  }
+
+  /**
+   * Private utility function to find the intent a query matches best among
+   * the ones whose contexts are active, or the fallback intent.
+   * @param {string} query what the user said
+   * @param {Object} active active contexts of the session
+   * @return {Object} intent, entities extracted and confidence
+   */
+  match_(query, active) {
+    let best = {confidence: 0};
+    for (const intent of this.agent.intents) {
+      if (intent.fallbackIntent ||
+        !intent.contexts.every((name) => active[name])) {
+        continue;
+      }
+      for (const phrase of intent.usersays) {
+        const candidate = this.compare_(query, phrase);
+        const score = candidate.confidence +
+          (intent.contexts.length ? CONTEXT_BONUS : 0);
+        if (score > best.score || !best.intent) {
+          best = Object.assign(candidate, {intent, score});
+        }
+      }
+    }
+    if (best.confidence >= MATCH_THRESHOLD) {
+      return best;
+    }
+    const fallback = this.agent.intents.find((intent) =>
+      intent.fallbackIntent &&
+      intent.contexts.every((name) => active[name]));
+    if (!fallback) {
+      throw new Error(`No intent matches "${query}" and no fallback intent`);
+    }
+    return {intent: fallback, entities: {}, confidence: 1};
+  }
+
+  /**
+   * Private utility function to find the intent triggered by an event.
+   * @param {string} name name of the event, like WELCOME
+   * @return {Object} intent, no entities and confidence
+   */
+  matchEvent_(name) {
+    const intent = this.agent.intents.find((intent) =>
+      (intent.events || []).some((event) => event.name === name));
+    if (!intent) {
+      throw new Error(`No intent handles the event ${name}`);
+    }
+    return {intent, entities: {}, confidence: 1};
+  }
+
+  /**
+   * Private utility function to compare a query to a training phrase. The
+   * entity values of both are replaced by a word standing for the type of
+   * the entity, so "Tell me about the HQ" matches "Tell me about the
+   * headquarters".
+   * @param {string} query what the user said
+   * @param {Object} phrase training phrase
+   * @return {Object} confidence and entities the query holds
+   */
+  compare_(query, phrase) {
+    const placeholder = (meta) => meta.replace(/\W/g, '_');
+    const words = (text) => text.split(' ').filter((word) => word);
+    const entities = {};
+    let text = ` ${normalize_(query)} `;
+    for (const part of phrase.data.filter((part) => part.meta)) {
+      const synonym = (this.synonyms[part.meta] || [])
+        .find((s) => text.includes(` ${s.text} `));
+      if (synonym) {
+        entities[part.alias] = synonym.value;
+        text = text.replace(` ${synonym.text} `,
+          ` ${placeholder(part.meta)} `);
+      }
+    }
+    const expected = phrase.data.map((part) =>
+      part.meta ? placeholder(part.meta) : normalize_(part.text));
+    return {
+      entities,
+      confidence: similarity_(words(text), words(expected.join(' '))),
+    };
+  }
+
+  /**
+   * Private utility function to call the fulfillment for a matched intent.
+   * @param {string} session full name of the session
+   * @param {Object} queryResult result of matching the query
+   * @param {Object} body detectIntent request
+   * @return {Promise<Object>} webhook response
+   */
+  async callWebhook_(session, queryResult, body) {
+    const {queryInput, queryParams = {}} = body;
+    const query = queryResult.queryText;
+    const payload = queryParams.payload || this.payload || {
+      user: {
+        locale: queryResult.languageCode,
+        userId: session.split('/').pop(),
+      },
+      conversation: {
+        conversationId: session.split('/').pop(),
+        type: queryInput.event ? 'NEW' : 'ACTIVE',
+      },
+      inputs: [{
+        intent: queryInput.event ? 'actions.intent.MAIN' :
+          'actions.intent.TEXT',
+        rawInputs: [{inputType: 'KEYBOARD', query}],
+        arguments: queryInput.event ? [] :
+          [{name: 'text', rawText: query, textValue: query}],
+      }],
+      surface: {
+        capabilities: PHONE.map((name) => ({name})),
+      },
+      isInSandbox: true,
+    };
+    const request = {
+      responseId: uuid.v4(),
+      session,
+      queryResult: Object.assign({}, queryResult, {
+        outputContexts: this.outputContexts_(session),
+      }),
+      originalDetectIntentRequest: {
+        source: 'google',
+        version: '2',
+        payload,
+      },
+    };
+    const res = await this.app(request, {});
+    if (res.status !== 200) {
+      throw new Error(`Webhook failed with ${res.status}: ` +
+        JSON.stringify(res.body));
+    }
+    return res.body;
+  }
+
+  /**
+   * Private utility function to list the active contexts of a session, the
+   * way Dialogflow sends and returns them.
+   * @param {string} session full name of the session
+   * @return {Array<Object>} contexts
+   */
+  outputContexts_(session) {
+    const active = this.sessions[session.split('/').pop()] || {};
+    return Object.keys(active).map((name) => ({
+      name: `${session}/contexts/${name}`,
+      lifespanCount: active[name].lifespanCount,
+      parameters: active[name].parameters,
+    }));
+  }
+
+  /**
+   * Private utility function to get the text response of an intent that
+   * doesn't use the webhook.
+   * @param {Object} response response of the intent
+   * @return {string} text response, the first one if there are several
+   */
+  staticSpeech_(response) {
+    const message = response.messages.find((m) => m.type === 0);
+    const speech = message ? [].concat(message.speech) : [];
+    return speech[0] || '';
+  }
+
+  /**
+   * Private utility function to get the text of a webhook response.
+   * @param {Object} webhook webhook response
+   * @return {string} every simple response spoken, joined with spaces
+   */
+  webhookSpeech_(webhook) {
+    const {google} = webhook.payload || {};
+    const items = google && google.richResponse ?
+      google.richResponse.items : [];
+    return items.filter((item) => item.simpleResponse)
+      .map((item) => item.simpleResponse.textToSpeech)
+      .join(' ');
+  }
+}
+
+module.exports = {
+  MockDialogflow,
+};
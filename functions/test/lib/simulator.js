@@ -0,0 +1,431 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+/**
+ * Simulates conversations with the fulfillment offline, turn by turn. Builds
+ * the Dialogflow v2 webhook request of every turn from an intent name and its
+ * parameters, carrying the contexts, conversation data and user storage of
+ * the previous responses like Dialogflow and the Assistant would.
+ * For the request format, please refer to
+ * https://developers.google.com/actions/build/json/dialogflow-webhook-json
+ */
+const {expect} = require('chai');
+const uuid = require('uuid');
+
+/** The capabilities of a phone, the default surface */
+const PHONE = [
+  'actions.capability.AUDIO_OUTPUT',
+  'actions.capability.SCREEN_OUTPUT',
+  'actions.capability.MEDIA_RESPONSE_AUDIO',
+  'actions.capability.WEB_BROWSER',
+];
+
+/** The lifespan of contexts a response doesn't give one */
+const DEFAULT_LIFESPAN = 5;
+
+/** The context the actions-on-google library keeps conv.data in */
+const DATA_CONTEXT = '_actions_on_google';
+
+/**
+ * The response to a turn of a simulated conversation, with assertions that
+ * can be chained.
+ * @example
+ * (await conversation.welcome())
+ *   .expectSpeech(/^Welcome/)
+ *   .expectSuggestions('Headquarters', 'History');
+ */
+class Turn {
+  /**
+   * @param {Object} request The webhook request sent.
+   * @param {Object} body The webhook response received.
+   */
+  constructor(request, body) {
+    this.request = request;
+    this.body = body;
+    this.google = body.payload.google;
+  }
+
+  /**
+   * @return {Array<Object>} The items of the rich response.
+   */
+  get items() {
+    return this.google.richResponse ? this.google.richResponse.items : [];
+  }
+
+  /**
+   * @return {string} Every simple response spoken, joined with spaces.
+   */
+  get speech() {
+    return this.items.filter((item) => item.simpleResponse)
+      .map((item) => item.simpleResponse.textToSpeech ||
+        item.simpleResponse.ssml)
+      .join(' ');
+  }
+
+  /**
+   * @return {Array<string>} The titles of the suggestion chips.
+   */
+  get suggestions() {
+    const {richResponse = {}} = this.google;
+    return (richResponse.suggestions || []).map((s) => s.title);
+  }
+
+  /**
+   * @return {Object|undefined} The basic card, if there is one.
+   */
+  get card() {
+    const item = this.items.find((item) => item.basicCard);
+    return item && item.basicCard;
+  }
+
+  /**
+   * @return {boolean} Whether the response ends the conversation.
+   */
+  get closed() {
+    return !this.google.expectUserResponse;
+  }
+
+  /**
+   * @return {Object} The conversation data the response holds.
+   */
+  get data() {
+    const context = this.body.outputContexts
+      .find((c) => c.name.endsWith(`/${DATA_CONTEXT}`));
+    return JSON.parse(context.parameters.data);
+  }
+
+  /**
+   * Gets the parameters of a context the response sets.
+   * @param {string} name The name of the context.
+   * @return {Object|undefined} The parameters, if the response sets it.
+   */
+  context(name) {
+    const context = (this.body.outputContexts || [])
+      .find((c) => c.name.endsWith(`/${name}`) && c.lifespanCount !== 0);
+    return context && (context.parameters || {});
+  }
+
+  /**
+   * Asserts what the response says.
+   * @param {string|RegExp} expected The speech, or a pattern matching it.
+   * @return {Turn} The turn.
+   */
+  expectSpeech(expected) {
+    if (expected instanceof RegExp) {
+      expect(this.speech).to.match(expected);
+    } else {
+      expect(this.speech).to.equal(expected);
+    }
+    return this;
+  }
+
+  /**
+   * Asserts the suggestion chips of the response, in any order.
+   * @param {...string} titles The titles of the chips.
+   * @return {Turn} The turn.
+   */
+  expectSuggestions(...titles) {
+    expect(this.suggestions).to.have.members(titles);
+    return this;
+  }
+
+  /**
+   * Asserts the response has a card.
+   * @param {string=} title The title of the card, if it matters.
+   * @return {Turn} The turn.
+   */
+  expectCard(title) {
+    expect(this.card, 'card').to.exist;
+    if (typeof title !== 'undefined') {
+      expect(this.card.title).to.equal(title);
+    }
+    return this;
+  }
+
+  /**
+   * Asserts the response doesn't have a card.
+   * @return {Turn} The turn.
+   */
+  expectNoCard() {
+    expect(this.card, 'card').to.not.exist;
+    return this;
+  }
+
+  /**
+   * Asserts the response waits for the user to answer.
+   * @return {Turn} The turn.
+   */
+  expectOpen() {
+    expect(this.closed, 'closed').to.be.false;
+    return this;
+  }
+
+  /**
+   * Asserts the response ends the conversation.
+   * @return {Turn} The turn.
+   */
+  expectClosed() {
+    expect(this.closed, 'closed').to.be.true;
+    return this;
+  }
+
+  /**
+   * Asserts the response sets a context.
+   * @param {string} name The name of the context.
+   * @param {Object=} parameters The parameters of the context, if they
+   *     matter.
+   * @return {Turn} The turn.
+   */
+  expectContext(name, parameters) {
+    const context = this.context(name);
+    expect(context, `context ${name}`).to.exist;
+    if (typeof parameters !== 'undefined') {
+      expect(context).to.deep.equal(parameters);
+    }
+    return this;
+  }
+
+  /**
+   * Asserts the conversation data the response holds.
+   * @param {function(Object): void} assertion Called with the data.
+   * @return {Turn} The turn.
+   */
+  expectData(assertion) {
+    assertion(this.data);
+    return this;
+  }
+}
+
+/**
+ * @typedef SimulatorOptions
+ * @property {string=} locale The locale of the user, defaults to en-US.
+ * @property {Array<string>=} capabilities The capabilities of the surface
+ *     the user is on, defaults to the ones of a phone.
+ * @property {Array<string>=} availableCapabilities The capabilities of
+ *     another surface of the user, if they have one.
+ * @property {Object=} userStorage The user storage the user starts with.
+ * @property {string=} timeZone The time zone of the device of the user, like
+ *     America/New_York, if it tells it.
+ * @property {string=} projectId The id of the Dialogflow project.
+ */
+
+/**
+ * A simulated user talking to the fulfillment. Conversations go on until a
+ * response closes them, the next turn then starts a new conversation of the
+ * same, now returning, user.
+ * @example
+ * const conversation = new Simulator(testApp);
+ * await conversation.welcome();
+ * (await conversation.send('choose_fact', {category: 'history'}))
+ *   .expectCard();
+ */
+class Simulator {
+  /**
+   * @param {function(Object, Object): Promise<Object>} app The app to talk
+   *     to, like testApp.
+   * @param {SimulatorOptions=} options The user and their surfaces.
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.locale = options.locale || 'en-US';
+    this.capabilities = options.capabilities || PHONE;
+    this.availableCapabilities = options.availableCapabilities;
+    this.projectId = options.projectId || 'project-id';
+    this.timeZone = options.timeZone;
+    this.userId = uuid.v4();
+    this.userStorage = options.userStorage ?
+      JSON.stringify({data: options.userStorage}) : undefined;
+    this.lastSeen = undefined;
+    this.startConversation_();
+  }
+
+  /**
+   * Private utility function to forget the state of the last conversation.
+   */
+  startConversation_() {
+    this.conversationId = uuid.v4();
+    this.contexts = {};
+    this.turns = [];
+  }
+
+  /**
+   * @return {string} The session of the current conversation.
+   */
+  get session() {
+    return `projects/${this.projectId}/agent/sessions/${this.conversationId}`;
+  }
+
+  /**
+   * Gets the parameters of a context active in the conversation.
+   * @param {string} name The name of the context.
+   * @return {Object|undefined} The parameters, if the context is active.
+   */
+  context(name) {
+    const context = this.contexts[name];
+    return context && context.parameters;
+  }
+
+  /**
+   * @return {Object} The conversation data, empty before the first turn.
+   */
+  get data() {
+    const context = this.contexts[DATA_CONTEXT];
+    return context ? JSON.parse(context.parameters.data) : {};
+  }
+
+  /**
+   * Sends a turn of the conversation, as if Dialogflow matched an intent.
+   * @param {string} intent The display name of the intent.
+   * @param {Object=} parameters The parameters Dialogflow extracted.
+   * @param {Object=} options What the Assistant sends along.
+   * @param {string=} options.query What the user said, defaults to the name
+   *     of the intent.
+   * @param {string=} options.input The Assistant intent, defaults to
+   *     actions.intent.TEXT.
+   * @param {Array<Object>=} options.arguments The arguments of the
+   *     Assistant intent.
+   * @return {Promise<Turn>} The response.
+   */
+  async send(intent, parameters = {}, options = {}) {
+    // Dialogflow counts down the lifespan of every context on every turn
+    for (const name of Object.keys(this.contexts)) {
+      if (--this.contexts[name].lifespanCount <= 0) {
+        delete this.contexts[name];
+      }
+    }
+    const request = this.request_(intent, parameters, options);
+    const res = await this.app(request, {});
+    const turn = new Turn(request, res.body);
+    for (const context of res.body.outputContexts || []) {
+      const name = context.name.split('/').pop();
+      const lifespanCount = typeof context.lifespanCount === 'number' ?
+        context.lifespanCount : DEFAULT_LIFESPAN;
+      if (lifespanCount > 0) {
+        this.contexts[name] = {lifespanCount, parameters: context.parameters};
+      } else {
+        delete this.contexts[name];
+      }
+    }
+    if (turn.google.userStorage) {
+      this.userStorage = turn.google.userStorage;
+    }
+    this.turns.push(turn);
+    if (turn.closed) {
+      this.lastSeen = new Date().toISOString();
+      this.startConversation_();
+    }
+    return turn;
+  }
+
+  /**
+   * Starts the conversation, as if the user invoked the action.
+   * @return {Promise<Turn>} The response.
+   */
+  welcome() {
+    return this.send('Default Welcome Intent', {}, {
+      query: 'GOOGLE_ASSISTANT_WELCOME',
+      input: 'actions.intent.MAIN',
+    });
+  }
+
+  /**
+   * Sends a turn where the user didn't answer.
+   * @return {Promise<Turn>} The response.
+   */
+  noInput() {
+    return this.send('actions_intent_NO_INPUT', {}, {
+      query: 'actions_intent_NO_INPUT',
+      input: 'actions.intent.NO_INPUT',
+    });
+  }
+
+  /**
+   * Private utility function to build the webhook request of a turn.
+   * @param {string} intent The display name of the intent.
+   * @param {Object} parameters The parameters Dialogflow extracted.
+   * @param {Object} options What the Assistant sends along.
+   * @return {Object} The request.
+   */
+  request_(intent, parameters, options) {
+    const query = options.query || intent;
+    const input = options.input || 'actions.intent.TEXT';
+    const user = {
+      locale: this.locale,
+      userId: this.userId,
+    };
+    if (this.userStorage) {
+      user.userStorage = this.userStorage;
+    }
+    if (this.lastSeen) {
+      user.lastSeen = this.lastSeen;
+    }
+    const payload = {
+      user,
+      conversation: {
+        conversationId: this.conversationId,
+        type: this.turns.length ? 'ACTIVE' : 'NEW',
+      },
+      inputs: [{
+        intent: input,
+        rawInputs: [{inputType: 'VOICE', query}],
+        arguments: options.arguments ||
+          (input === 'actions.intent.TEXT' ?
+            [{name: 'text', rawText: query, textValue: query}] : []),
+      }],
+      surface: {
+        capabilities: this.capabilities.map((name) => ({name})),
+      },
+      isInSandbox: true,
+    };
+    if (this.timeZone) {
+      payload.device = {timeZone: {id: this.timeZone}};
+    }
+    if (this.availableCapabilities) {
+      payload.availableSurfaces = [{
+        capabilities: this.availableCapabilities.map((name) => ({name})),
+      }];
+    }
+    return {
+      responseId: uuid.v4(),
+      session: this.session,
+      queryResult: {
+        queryText: query,
+        parameters,
+        allRequiredParamsPresent: true,
+        outputContexts: Object.keys(this.contexts).map((name) => ({
+          name: `${this.session}/contexts/${name}`,
+          lifespanCount: this.contexts[name].lifespanCount,
+          parameters: this.contexts[name].parameters,
+        })),
+        intent: {
+          name: `projects/${this.projectId}/agent/intents/${uuid.v4()}`,
+          displayName: intent,
+        },
+        intentDetectionConfidence: 1,
+        languageCode: this.locale.toLowerCase(),
+      },
+      originalDetectIntentRequest: {
+        source: 'google',
+        version: '2',
+        payload,
+      },
+    };
+  }
+}
+
+module.exports = {
+  PHONE,
+  Simulator,
+  Turn,
+};
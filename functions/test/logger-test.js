@@ -0,0 +1,124 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for structured, redacted logging.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const logger = require('./../logger');
+const validation = require('./../validation');
+const {Simulator} = require('./lib/simulator');
+
+const {REDACTED} = logger;
+
+/**
+ * Creates a logger keeping the lines it writes.
+ * @param {string} level The most detailed level logged.
+ * @return {{log: Logger, out: Array<Object>, err: Array<Object>}} The logger
+ *     and the lines parsed, by stream.
+ */
+const capture = (level) => {
+  const out = [];
+  const err = [];
+  const log = new logger.Logger(level, {}, {
+    out: (line) => out.push(JSON.parse(line)),
+    err: (line) => err.push(JSON.parse(line)),
+  });
+  return {log, out, err};
+};
+
+test('redacts what users said, user ids and tokens', function(t) {
+  const body = new Simulator(null).request_('choose_fact',
+    {category: 'history'}, {query: 'Tell me about Google\'s history'});
+  const redacted = logger.redact(body);
+  const {payload} = redacted.originalDetectIntentRequest;
+  expect(redacted.queryResult.queryText).to.equal(REDACTED);
+  expect(payload.user.userId).to.equal(REDACTED);
+  expect(payload.inputs[0].rawInputs[0].query).to.equal(REDACTED);
+  expect(payload.inputs[0].arguments[0]).to.include({
+    rawText: REDACTED,
+    textValue: REDACTED,
+  });
+  expect(logger.redact({
+    'parameters': {'category': 'history', 'category.original': 'the past'},
+    'headers': {Authorization: 'Bearer abc.def'},
+    'message': 'Sent Bearer abc.def-ghi to the API',
+  })).to.deep.equal({
+    parameters: {'category': 'history', 'category.original': REDACTED},
+    headers: {Authorization: REDACTED},
+    message: `Sent Bearer ${REDACTED} to the API`,
+  });
+  // The original isn't changed
+  expect(body.queryResult.queryText).to.not.equal(REDACTED);
+  t.pass();
+});
+
+test('redacts the headers webhook requests authenticate with',
+  function(t) {
+    const {log, out} = capture('debug');
+    const {headers} = validation.options({
+      WEBHOOK_HEADERS: '{"X-Webhook-Secret": "s3cret"}',
+    });
+    logger.redactKeys(Object.keys(headers));
+    log.debug('Request', {headers: {
+      'x-webhook-secret': 's3cret',
+      'content-type': 'application/json',
+    }});
+    expect(out[0].headers).to.deep.equal({
+      'x-webhook-secret': REDACTED,
+      'content-type': 'application/json',
+    });
+    expect(JSON.stringify(out)).to.not.include('s3cret');
+    t.pass();
+  });
+
+test('logs JSON lines at the level set and below', function(t) {
+  const {log, out, err} = capture('info');
+  log.debug('Request', {body: {}});
+  log.info('Started');
+  log.warn('Slow', {ms: 1200});
+  log.error('Failed', {error: new Error('Boom')});
+  expect(out.map((line) => line.severity)).to.deep.equal(['INFO']);
+  expect(err.map((line) => line.severity)).to.deep.equal(['WARN', 'ERROR']);
+  expect(err[0]).to.include({message: 'Slow', ms: 1200});
+  expect(err[1].error).to.include({name: 'Error', message: 'Boom'});
+  expect(out[0].timestamp).to.be.a('string');
+  t.pass();
+});
+
+test('ties lines to the conversation', function(t) {
+  const {log, out} = capture('debug');
+  const conversation = new Simulator(null);
+  const id = logger.conversationId(conversation.request_('repeat', {}, {}));
+  expect(id).to.equal(conversation.conversationId);
+  log.child({conversationId: id}).debug('Request', {query: 'history'});
+  expect(out).to.deep.equal([{
+    severity: 'DEBUG',
+    message: 'Request',
+    timestamp: out[0].timestamp,
+    conversationId: id,
+    query: REDACTED,
+  }]);
+  expect(logger.conversationId({session: 'projects/p/agent/sessions/s'}))
+    .to.equal('s');
+  t.pass();
+});
+
+test('logs the default level for unknown levels', function(t) {
+  const {log} = capture('verbose');
+  expect(log.level).to.equal('info');
+  expect(log.enabled('debug')).to.be.false;
+  expect(log.enabled('error')).to.be.true;
+  t.pass();
+});
@@ -0,0 +1,229 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for the quiz.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const path = require('path');
+const catalog = require('./../catalog');
+const quiz = require('./../quiz');
+const selection = require('./../selection');
+const {quiz: bundle} = require('./../responses');
+const {testApp} = require('./../index');
+const {Simulator} = require('./lib/simulator');
+
+const loadCatalog = () =>
+  catalog.load(catalog.source(path.join(__dirname, '..', 'facts')));
+
+/**
+ * Escapes text to match it in a regular expression.
+ * @param {string} text The text.
+ * @return {string} The escaped text.
+ */
+const escape = (text) => text.replace(/[.?]/g, '\\$&');
+
+/**
+ * Gets the right answer to the question the user was just asked.
+ * @param {Catalog} loaded The fact catalog.
+ * @param {Simulator} conversation The conversation.
+ * @return {string} The answer.
+ */
+const answerOf = (loaded, conversation) =>
+  quiz.question(loaded.fact(conversation.data.quiz.current.id), '')
+    .answers[0];
+
+test('makes questions from facts', function(t) {
+  expect(quiz.question({text: 'Google was founded in 1998.'}, 'blank'))
+    .to.deep.equal({
+      kind: 'year',
+      text: 'Google was founded in blank.',
+      answers: ['1998'],
+    });
+  expect(quiz.question({text: 'Google has over 30 cafeterias.'}, '…'))
+    .to.include({kind: 'count', text: 'Google has over … cafeterias.'});
+  expect(quiz.question({text: 'Google had 1500 employees in 2004.'}, '…'))
+    .to.include({kind: 'count', text: 'Google had … employees in 2004.'});
+  expect(quiz.question({text: 'Google wurde 1998 gegründet.'}, '…', 'de'))
+    .to.include({kind: 'year', text: 'Google wurde … gegründet.'});
+  expect(quiz.question({text: 'Google hatte 1500 Mitarbeiter.'}, '…', 'de'))
+    .to.include({kind: 'count', text: 'Google hatte … Mitarbeiter.'});
+  expect(quiz.question({text: 'Cats are animals.'}, 'blank')).to.be.null;
+  expect(quiz.question({
+    text: 'Google was founded by Larry Page and Sergey Brin.',
+    quiz: {question: 'Who founded Google?', answers: ['Larry Page']},
+  }, 'blank')).to.include({kind: 'authored', text: 'Who founded Google?'});
+  t.pass();
+});
+
+test('only asks facts that make questions', async function(t) {
+  const loaded = await loadCatalog();
+  const questions = quiz.questions(loaded.mainCategories());
+  expect(questions.history).to.have.members(['history-founded',
+    'history-founders', 'history-ipo', 'history-offices']);
+  expect(quiz.questions(loaded.topics()).cats).to.be.empty;
+  t.pass();
+});
+
+test('checks answers', function(t) {
+  const year = quiz.question({text: 'Google went public in 2004.'}, 'blank');
+  expect(quiz.check(year, 'I think 2004')).to.be.true;
+  expect(quiz.check(year, '20045')).to.be.false;
+  expect(quiz.check(year, 'no idea')).to.be.false;
+  const authored = {kind: 'authored', answers: ['Mountain View']};
+  expect(quiz.check(authored, 'It\'s in mountain view!')).to.be.true;
+  expect(quiz.check(authored, 'Sunnyvale')).to.be.false;
+  expect(quiz.check({kind: 'authored', answers: ['Zürich']}, 'zurich'))
+    .to.be.true;
+  t.pass();
+});
+
+test('gives hints', function(t) {
+  const year = quiz.question({text: 'Google went public in 2004.'}, 'blank');
+  expect(quiz.hint(year, '1999', bundle.hints)).to.equal(
+    bundle.hints.year.higher);
+  expect(quiz.hint(year, '2010', bundle.hints)).to.equal(
+    bundle.hints.year.lower);
+  expect(quiz.hint(year, 'no idea', bundle.hints)).to.equal(
+    bundle.hints.year.number);
+  expect(quiz.hint({kind: 'authored', answers: ['mountain View']}, 'Paris',
+    bundle.hints)).to.equal('Here\'s a hint: it starts with M.');
+  expect(quiz.hint({kind: 'authored', answers: ['Mountain View'],
+    hint: 'It\'s in California.'}, 'Paris', bundle.hints))
+    .to.equal('It\'s in California.');
+  t.pass();
+});
+
+test('quizzes the user on a category until it runs out of questions',
+  async function(t) {
+    const loaded = await loadCatalog();
+    const conversation = new Simulator(testApp);
+    (await conversation.send('start_quiz', {category: 'history'}))
+      .expectOpen()
+      .expectSpeech(/^Okay, let's see what you know about Google's history\. /)
+      .expectContext('start_quiz-followup', {category: 'history'})
+      .expectSuggestions('Stop the quiz');
+    const asked = [];
+    for (let i = 0; i < 4; i++) {
+      const {id} = conversation.data.quiz.current;
+      asked.push(id);
+      expect(loaded.categoryOf(id).category).to.equal('history');
+      const turn = await conversation.send('quiz_answer',
+        {answer: answerOf(loaded, conversation)});
+      turn.expectSpeech(new RegExp(
+        `^That's right! ${escape(loaded.fact(id).text)} `));
+      expect(conversation.data.quiz.score).to.equal(i + 1);
+      if (i === 3) {
+        turn.expectSpeech(new RegExp(escape('That\'s all my questions ' +
+          'about Google\'s history. I can also quiz you on Google\'s ' +
+          'headquarters. Which one do you want?') + '$'))
+          .expectSuggestions('Headquarters quiz', 'Stop the quiz');
+      }
+    }
+    expect(asked).to.have.members(quiz.questions(loaded.mainCategories())
+      .history);
+    (await conversation.send('start_quiz', {category: 'headquarters'}))
+      .expectContext('start_quiz-followup', {category: 'headquarters'});
+    (await conversation.send('end_quiz'))
+      .expectOpen()
+      .expectSpeech(/^You got 4 out of 4 right\. .*So what would you like /)
+      .expectSuggestions('Headquarters', 'History', 'Cats');
+    expect(conversation.data.quiz).to.be.undefined;
+    t.pass();
+  });
+
+test('gives a hint, then the answer, after wrong answers', async function(t) {
+  const loaded = await loadCatalog();
+  const conversation = new Simulator(testApp);
+  await conversation.send('start_quiz', {category: 'history'});
+  const {id} = conversation.data.quiz.current;
+  const question = quiz.question(loaded.fact(id), 'blank');
+  (await conversation.send('quiz_answer', {answer: 'the moon'}))
+    .expectSpeech(`Not quite. ${quiz.hint(question, 'the moon',
+      bundle.hints)} Try again.`)
+    .expectContext('start_quiz-followup', {category: 'history'});
+  expect(conversation.data.quiz.current).to.deep.equal({id, hinted: true});
+  (await conversation.send('quiz_answer', {answer: 'the moon'}))
+    .expectSpeech(new RegExp(`^Not quite\\. ${escape(loaded.fact(id).text)} ` +
+      `Here's the next one\\. `));
+  expect(conversation.data.quiz).to.include({score: 0, asked: 1});
+  expect(conversation.data.quiz.current.id).to.not.equal(id);
+  (await conversation.send('end_quiz'))
+    .expectSpeech(/^You didn't get any right this time\. /);
+  t.pass();
+});
+
+test('quizzes the user on the category they were hearing about',
+  async function(t) {
+    const loaded = await loadCatalog();
+    const conversation = new Simulator(testApp);
+    await conversation.send('choose_fact', {category: 'headquarters'});
+    (await conversation.send('start_quiz'))
+      .expectSpeech(new RegExp('^' + escape('Okay, let\'s see what you ' +
+        'know about Google\'s headquarters. ')));
+    const {id} = conversation.data.quiz.current;
+    expect(loaded.categoryOf(id).category).to.equal('headquarters');
+    t.pass();
+  });
+
+test('offers categories with questions for the others', async function(t) {
+  const conversation = new Simulator(testApp);
+  (await conversation.send('start_quiz', {category: 'cats'}))
+    .expectOpen()
+    .expectSpeech('Sorry, I don\'t have questions about that. I can quiz ' +
+      'you on Google\'s headquarters or history.')
+    .expectSuggestions('Headquarters quiz', 'History quiz');
+  t.pass();
+});
+
+/**
+ * Starts a history quiz in French, seeding the selection of questions so
+ * the first one is the same on every run.
+ * @param {number} value The seed.
+ * @return {Promise<Simulator>} The conversation, asked the first question.
+ */
+const startSeeded = async (value) => {
+  selection.seed(value);
+  try {
+    const conversation = new Simulator(testApp, {locale: 'fr-FR'});
+    await conversation.send('start_quiz', {category: 'history'});
+    return conversation;
+  } finally {
+    selection.seed();
+  }
+};
+
+// Seeding changes how every test selects, so these run before the others
+test.serial('asks authored questions in the language of the user',
+  async function(t) {
+    const conversation = await startSeeded(12);
+    expect(conversation.data.quiz.current.id).to.equal('history-founders');
+    (await conversation.send('quiz_answer', {answer: 'abc'}))
+      .expectSpeech('Pas tout à fait. Ils se sont rencontrés à ' +
+        'l\'université Stanford. Essayez encore.');
+    expect(conversation.data.lastQuestion).to.equal('Qui a fondé Google ?');
+    t.pass();
+  });
+
+test.serial('asks fill in questions in the language of the user',
+  async function(t) {
+    const conversation = await startSeeded(2019);
+    expect(conversation.data.quiz.current.id).to.equal('history-ipo');
+    (await conversation.send('quiz_answer', {answer: 'abc'}))
+      .expectSpeech('Pas tout à fait. Un indice : c\'est une année. ' +
+        'Essayez encore.');
+    expect(conversation.data.lastQuestion).to.equal(
+      'Complétez : Google est entré en bourse en ….');
+    t.pass();
+  });
@@ -0,0 +1,103 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for redirecting users to other categories
+// once a category runs out of facts, with a catalog of more than two main
+// categories.
+'use strict';
+
+const {expect} = require('chai');
+const path = require('path');
+const test = require('ava');
+
+process.env.FACTS_CATALOG =
+  path.join(__dirname, 'fixtures', 'catalog', 'products');
+const {testApp} = require('./../index');
+
+/**
+ * Calls the app with test/static/yes-history-sure.json, changed to ask for
+ * a fact of a category with the given facts left in conversation data.
+ * @param {string} category The category the user asks for.
+ * @param {Object<string, Array<string>>} facts The ids of the facts left.
+ * @return {Object} webhook response
+ */
+async function getAppResponse(category, facts) {
+  const request = require('./static/yes-history-sure.json');
+  const staticJson = JSON.parse(JSON.stringify(request));
+  staticJson.queryResult.parameters.category = category;
+  staticJson.queryResult.outputContexts.push({
+    name: `${staticJson.session}/contexts/_actions_on_google`,
+    lifespanCount: 99,
+    parameters: {
+      data: JSON.stringify({facts}),
+    },
+  });
+  const jsonRes = await testApp(staticJson, {});
+  return jsonRes.body;
+}
+
+test.serial('offers every other category with facts left', async function(t) {
+  const jsonRes = await getAppResponse('android', {
+    android: [],
+    chrome: ['chrome-first'],
+    search: ['search-first'],
+  });
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('Looks like ' +
+    'you\'ve heard all there is to know about the Android of Google. I ' +
+    'could tell you about its Chrome or Search instead. So what would you ' +
+    'like to hear about?');
+  expect(jsonRes.payload.google.richResponse.suggestions).to
+    .have.deep.members([{'title': 'Chrome'}, {'title': 'Search'}]);
+  t.pass();
+});
+
+test.serial('skips exhausted categories', async function(t) {
+  const jsonRes = await getAppResponse('android', {
+    android: [],
+    chrome: [],
+    search: ['search-first'],
+  });
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.include(
+    'I could tell you about its Search instead.');
+  expect(jsonRes.payload.google.richResponse.suggestions).to
+    .have.deep.members([{'title': 'Search'}]);
+  const context = jsonRes.outputContexts
+    .find((c) => c.name.endsWith('/choose_fact-followup'));
+  expect(context.parameters).to.deep.equal({category: 'search'});
+  t.pass();
+});
+
+test.serial('closes once every category is exhausted', async function(t) {
+  const jsonRes = await getAppResponse('android', {
+    android: [],
+    chrome: [],
+    search: [],
+  });
+  expect(jsonRes.payload.google.expectUserResponse).to.be.false;
+  t.pass();
+});
+
+test.serial('handles a missing category', async function(t) {
+  const jsonRes = await getAppResponse(undefined, {
+    android: [],
+    chrome: ['chrome-first'],
+    search: ['search-first'],
+  });
+  const items = jsonRes.payload.google.richResponse.items;
+  expect(items[0].simpleResponse.textToSpeech).to.equal('Sorry, I don\'t ' +
+    'have facts about that. I can tell you about Google\'s Chrome or ' +
+    'Search. So what would you like to hear about?');
+  t.pass();
+});
@@ -0,0 +1,108 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for the fact selection strategies.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const {Catalog} = require('./../catalog');
+const selection = require('./../selection');
+
+const category = (fields, facts) => Object.assign({
+  category: 'history',
+  suggestion: 'History',
+  factPrefix: 'Sure, here\'s a history fact.',
+  facts,
+}, fields);
+
+const facts = [
+  {id: 'a', text: 'A'},
+  {id: 'b', text: 'B', featured: true},
+  {id: 'c', text: 'C', weight: 0},
+];
+
+/**
+ * Pops every fact of a category with a strategy.
+ * @param {Object} fields The fields of the category, like selection.
+ * @return {Array<string>} The ids of the facts in the order they were told.
+ */
+const popAll = (fields) => {
+  const history = category(fields, facts);
+  const catalog = new Catalog([history]);
+  const ids = catalog.facts().history;
+  const told = [];
+  let id;
+  while ((id = selection.pop(ids, history, catalog))) {
+    told.push(id);
+  }
+  return told;
+};
+
+test.afterEach(() => selection.seed());
+
+test.serial('tells facts in catalog order', function(t) {
+  expect(popAll({selection: 'sequential'})).to.deep.equal(['a', 'b', 'c']);
+  t.pass();
+});
+
+test.serial('tells every fact uniformly once', function(t) {
+  expect(popAll({})).to.have.members(['a', 'b', 'c']);
+  t.pass();
+});
+
+test.serial('repeats the same order for the same seed', function(t) {
+  selection.seed(42);
+  const first = popAll({});
+  selection.seed(42);
+  expect(popAll({})).to.deep.equal(first);
+  t.pass();
+});
+
+test.serial('seeded strategy is the same without a global seed', function(t) {
+  const order = popAll({selection: 'seeded', seed: 7});
+  expect(order).to.have.members(['a', 'b', 'c']);
+  expect(popAll({selection: 'seeded', seed: 7})).to.deep.equal(order);
+  t.pass();
+});
+
+test('seeded strategy keeps its order as facts are heard', function(t) {
+  const history = category({selection: 'seeded', seed: 7}, facts);
+  const catalog = new Catalog([history]);
+  const order = popAll({selection: 'seeded', seed: 7});
+  for (const heard of order) {
+    const ids = catalog.facts().history.filter((id) => id !== heard);
+    const rest = order.filter((id) => id !== heard);
+    expect([1, 2].map(() => selection.pop(ids, history, catalog)))
+      .to.deep.equal(rest);
+  }
+  t.pass();
+});
+
+test.serial('weighted strategy favors featured facts', function(t) {
+  selection.seed(1);
+  const firsts = {a: 0, b: 0, c: 0};
+  for (let i = 0; i < 400; i++) {
+    firsts[popAll({selection: 'weighted'})[0]]++;
+  }
+  // c has a weight of 0 and b is featured, three times as likely as a
+  expect(firsts.c).to.equal(0);
+  expect(firsts.b).to.be.within(250, 350);
+  t.pass();
+});
+
+test('returns null once every fact was told', function(t) {
+  const history = category({}, facts);
+  expect(selection.pop([], history, new Catalog([history]))).to.be.null;
+  t.pass();
+});
@@ -0,0 +1,145 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for the standalone HTTP server.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const http = require('http');
+const {FulfillmentServer} = require('./../server');
+const {app, loadedCatalogs} = require('./../index');
+const {Simulator} = require('./lib/simulator');
+
+/**
+ * Sends a request to the server.
+ * @param {number} port The port of the server.
+ * @param {string} method The HTTP method.
+ * @param {string} path The path.
+ * @param {Object=} options
+ * @param {Object|string=} options.body The body, sent as JSON.
+ * @param {Object=} options.headers The headers.
+ * @return {Promise<{status: number, body: Object}>} The response.
+ */
+const request = (port, method, path, options = {}) =>
+  new Promise((resolve, reject) => {
+    const body = typeof options.body === 'string' ? options.body :
+      JSON.stringify(options.body);
+    const req = http.request({port, method, path,
+      headers: Object.assign({'Content-Type': 'application/json'},
+        options.headers),
+    }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => text += chunk);
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: JSON.parse(text),
+      }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+/**
+ * Starts a server for a test, closing it after.
+ * @param {Object} t The test.
+ * @param {Object=} options The options of the server.
+ * @return {Promise<{server: FulfillmentServer, port: number}>} The server.
+ */
+const start = async (t, options = {}) => {
+  const server = new FulfillmentServer(app, Object.assign({
+    ready: loadedCatalogs,
+  }, options));
+  const port = await server.listen(0, '127.0.0.1');
+  t.context.server = server;
+  return {server, port};
+};
+
+test.afterEach.always((t) => t.context.server && t.context.server.close());
+
+test('fulfills webhook requests', async function(t) {
+  const {port} = await start(t);
+  const body = new Simulator(null).request_('Default Welcome Intent', {}, {});
+  const response = await request(port, 'POST', '/', {body});
+  expect(response.status).to.equal(200);
+  expect(response.body.payload.google.richResponse.items[0].simpleResponse
+    .textToSpeech).to.match(/^Welcome to Facts about Google!/);
+  t.pass();
+});
+
+test('rejects requests that aren\'t webhook requests', async function(t) {
+  const {port} = await start(t);
+  const bad = await request(port, 'POST', '/', {body: '{"queryResult":'});
+  expect(bad.status).to.equal(400);
+  const invalid = await request(port, 'POST', '/', {body: {}});
+  expect(invalid.status).to.equal(400);
+  expect(invalid.body.details).to.include('request.responseId is required');
+  const get = await request(port, 'GET', '/');
+  expect(get.status).to.equal(405);
+  expect(get.headers.allow).to.equal('POST');
+  t.pass();
+});
+
+test('tells when it is healthy and ready', async function(t) {
+  let resolve;
+  const {port} = await start(t, {
+    ready: new Promise((r) => resolve = r),
+  });
+  expect((await request(port, 'GET', '/healthz')).status).to.equal(200);
+  expect(await request(port, 'GET', '/readyz')).to.deep.include({
+    status: 503,
+    body: {status: 'starting'},
+  });
+  resolve();
+  await new Promise((r) => setImmediate(r));
+  expect(await request(port, 'GET', '/readyz')).to.deep.include({
+    status: 200,
+    body: {status: 'ready'},
+  });
+  t.pass();
+});
+
+test('finishes the requests it serves before shutting down',
+  async function(t) {
+    let release;
+    let flushed = false;
+    const slow = {
+      handler: async () => {
+        await new Promise((r) => release = r);
+        return {status: 200, headers: {}, body: {fulfilled: true}};
+      },
+    };
+    const server = new FulfillmentServer(slow, {
+      flush: async () => {
+        flushed = true;
+      },
+    });
+    const port = await server.listen(0, '127.0.0.1');
+    const pending = request(port, 'POST', '/', {body: {}});
+    while (!release) {
+      await new Promise((r) => setTimeout(r, 10));
+    }
+    const closed = server.close();
+    release();
+    expect(await pending).to.deep.include({
+      status: 200,
+      body: {fulfilled: true},
+    });
+    await closed;
+    expect(flushed).to.be.true;
+    await new Promise((r, reject) => http.get({port, path: '/healthz'})
+      .on('error', r)
+      .on('response', () => reject(new Error('Still serving'))));
+    t.pass();
+  });
@@ -0,0 +1,166 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains multi-turn tests of the fulfillment. They simulate whole
+// conversations offline with test/lib/simulator.js.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const {testApp} = require('./../index');
+const {Simulator} = require('./lib/simulator');
+
+const WELCOME = 'Welcome to Facts about Google! Do you want to hear about ' +
+  'Google\'s headquarters or history?';
+
+test('tells every history fact, then moves on', async function(t) {
+  const conversation = new Simulator(testApp);
+  (await conversation.welcome())
+    .expectOpen()
+    .expectSpeech(WELCOME)
+    .expectSuggestions('Headquarters', 'History');
+  const told = [];
+  for (let i = 0; i < 4; i++) {
+    // The user first picks history, then says sure to every next fact
+    const turn = await conversation.send(i ? 'tell_fact' : 'choose_fact',
+      {category: 'history'});
+    turn.expectOpen()
+      .expectSpeech(/^<speak>Sure, here's a history fact\. .* Would you like/)
+      .expectCard()
+      .expectSuggestions('Sure', 'No thanks');
+    told.push(turn.card.title);
+  }
+  expect(new Set(told).size).to.equal(4);
+  expect(conversation.data.told).to.have.lengthOf(4);
+  (await conversation.send('tell_fact', {category: 'history'}))
+    .expectOpen()
+    .expectSpeech(/^Looks like you've heard all there is to know about the /)
+    .expectContext('choose_fact-followup', {category: 'headquarters'})
+    .expectSuggestions('Headquarters', 'Cats');
+  (await conversation.send('tell_fact',
+    conversation.context('choose_fact-followup')))
+    .expectSpeech(/^<speak>Okay, here's a headquarters fact\./)
+    .expectCard();
+  t.pass();
+});
+
+test('welcomes the user back in their next conversation', async function(t) {
+  const conversation = new Simulator(testApp);
+  await conversation.welcome();
+  await conversation.send('choose_fact', {category: 'history'});
+  (await conversation.send('quit_facts'))
+    .expectClosed()
+    .expectSpeech('Okay, I still have 9 facts for next time. Bye!');
+  (await conversation.welcome())
+    .expectSpeech('Welcome back to Facts about Google! Do you want to hear ' +
+      'more about Google\'s headquarters or history?')
+    .expectData((data) => {
+      expect(data.facts.history).to.have.lengthOf(3);
+    });
+  t.pass();
+});
+
+test('reprompts a silent user, then ends', async function(t) {
+  const conversation = new Simulator(testApp);
+  await conversation.welcome();
+  (await conversation.noInput())
+    .expectOpen()
+    .expectSpeech(`I didn't hear that. ${WELCOME}`);
+  (await conversation.noInput())
+    .expectOpen()
+    .expectSpeech(`If you're still there, say that again. ${WELCOME}`);
+  (await conversation.noInput())
+    .expectClosed()
+    .expectSpeech('We can stop here. See you soon.');
+  t.pass();
+});
+
+test('leaves cards out on speakers', async function(t) {
+  const conversation = new Simulator(testApp, {
+    capabilities: ['actions.capability.AUDIO_OUTPUT'],
+  });
+  await conversation.welcome();
+  (await conversation.send('choose_fact', {category: 'headquarters'}))
+    .expectSpeech(/^<speak>Okay, here's a headquarters fact\./)
+    .expectNoCard();
+  t.pass();
+});
+
+test('offers the categories of the catalog once a topic runs out',
+  async function(t) {
+    const conversation = new Simulator(testApp);
+    for (let i = 0; i < 3; i++) {
+      await conversation.send('choose_cats');
+    }
+    (await conversation.send('choose_cats'))
+      .expectOpen()
+      .expectSpeech('Looks like you\'ve heard all there is to know about ' +
+        'cats. I can tell you about Google\'s headquarters or history ' +
+        'instead. So what would you like to hear about?')
+      .expectSuggestions('Headquarters', 'History');
+    (await conversation.send('reset_history'))
+      .expectSpeech('Okay, I forgot every fact I told you. Would you like ' +
+        'to hear about Google\'s headquarters or history?')
+      .expectSuggestions('Headquarters', 'History');
+    t.pass();
+  });
+
+test('offers speaker users in any language to see facts on their phone',
+  async function(t) {
+    const conversation = new Simulator(testApp, {
+      locale: 'fr-FR',
+      capabilities: ['actions.capability.AUDIO_OUTPUT'],
+      availableCapabilities: ['actions.capability.SCREEN_OUTPUT'],
+    });
+    const turn = await conversation.send('choose_fact',
+      {category: 'history'});
+    expect(turn.google.systemIntent).to.deep.include({
+      intent: 'actions.intent.NEW_SURFACE',
+    });
+    expect(turn.google.systemIntent.data).to.include({
+      context: 'Pour vous montrer cette anecdote et où en savoir plus',
+      notificationTitle: 'Une anecdote sur Google',
+    });
+    t.pass();
+  });
+
+test('forgets the facts removed from the catalog', async function(t) {
+  const conversation = new Simulator(testApp);
+  await conversation.send('choose_fact', {category: 'headquarters'});
+  await conversation.send('start_quiz', {category: 'history'});
+  // The last fact told and the question asked were since removed
+  const data = conversation.data;
+  const [first] = data.told;
+  data.told.push('history-removed');
+  data.position = 1;
+  data.lastResponse = {fact: 'history-removed'};
+  data.quiz.current = {id: 'history-removed'};
+  data.quiz.questions.history.push('history-removed');
+  conversation.contexts._actions_on_google.parameters.data =
+    JSON.stringify(data);
+  (await conversation.send('repeat'))
+    .expectOpen()
+    .expectSpeech(/^I haven't told you any facts yet\./)
+    .expectData((data) => {
+      expect(data.told).to.deep.equal([first]);
+      expect(data.position).to.equal(1);
+      expect(data.quiz).to.not.have.key('current');
+      expect(data.quiz.questions.history).to.not.include('history-removed');
+    });
+  (await conversation.send('previous_fact'))
+    .expectSpeech(/^<speak>Here's the fact before that\. /);
+  (await conversation.send('quiz_answer', {answer: '1998'}))
+    .expectOpen()
+    .expectSpeech(/^Okay, let's see what you know about Google's /);
+  t.pass();
+});
@@ -0,0 +1,94 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for building and validating SSML.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const ssml = require('./../ssml');
+
+test('escapes text', function(t) {
+  const speech = ssml.speak('AT&T <3 "Google"');
+  expect(speech).to.equal(
+    '<speak>AT&amp;T &lt;3 &quot;Google&quot;</speak>');
+  expect(ssml.validate(speech)).to.be.empty;
+  t.pass();
+});
+
+test('composes prefixes, audio, pauses and emphasis', function(t) {
+  const speech = ssml.speak('Here\'s a fact.',
+    ssml.audio('https://example.com/purr.ogg?a=1&b=2'),
+    ssml.pause('500ms'),
+    ssml.emphasis('Cats & dogs', 'strong'),
+    undefined);
+  expect(speech).to.equal('<speak>Here\'s a fact. ' +
+    '<audio src="https://example.com/purr.ogg?a=1&amp;b=2"></audio> ' +
+    '<break time="500ms"/> ' +
+    '<emphasis level="strong">Cats &amp; dogs</emphasis></speak>');
+  expect(ssml.validate(speech)).to.be.empty;
+  t.pass();
+});
+
+test('speaks years as dates', function(t) {
+  const speech = ssml.speak(
+    ssml.sayDates('Google was founded in 1998 & went public in 2004.'));
+  expect(speech).to.equal('<speak>Google was founded in ' +
+    '<say-as interpret-as="date" format="y">1998</say-as> &amp; went ' +
+    'public in <say-as interpret-as="date" format="y">2004</say-as>.' +
+    '</speak>');
+  expect(ssml.validate(speech)).to.be.empty;
+  expect(ssml.sayDates('More than 70 offices').toString()).to.equal(
+    'More than 70 offices');
+  expect(ssml.sayDates('Googleは1998年に設立されました。').toString()).to.equal(
+    'Googleは<say-as interpret-as="date" format="y">1998</say-as>年に' +
+    '設立されました。');
+  t.pass();
+});
+
+test('leaves counts that could be years alone', function(t) {
+  expect(ssml.sayDates('Google had 1500 employees in 2004.').toString())
+    .to.equal('Google had 1500 employees in ' +
+      '<say-as interpret-as="date" format="y">2004</say-as>.');
+  expect(ssml.sayDates('Google has offices within 2000 miles.').toString())
+    .to.equal('Google has offices within 2000 miles.');
+  expect(ssml.sayDates('Google ging 2004 an die Börse.', 'de').toString())
+    .to.equal('Google ging <say-as interpret-as="date" format="y">2004' +
+      '</say-as> an die Börse.');
+  expect(ssml.sayDates('Google hatte 1500 Mitarbeiter.', 'de').toString())
+    .to.equal('Google hatte 1500 Mitarbeiter.');
+  expect(ssml.sayDates('Google went 2004 public.').toString())
+    .to.equal('Google went 2004 public.');
+  t.pass();
+});
+
+test('reports invalid SSML', function(t) {
+  expect(ssml.validate('Cats & dogs')).to.have.members([
+    'unescaped & in "Cats & dogs"',
+    '"Cats & dogs" is outside of speak',
+    'no speak element',
+  ]);
+  expect(ssml.validate('<speak>1 < 2</speak>')).to.deep.equal([
+    'malformed tag <',
+  ]);
+  expect(ssml.validate('<speak><emphasis>Cats</speak>')).to.deep.equal([
+    'speak closes emphasis',
+    'speak not closed',
+  ]);
+  expect(ssml.validate('<speak><blink>Cats</blink></speak>')).to.deep.equal([
+    'unsupported element blink',
+  ]);
+  expect(ssml.validate('<speak>Cats</speak><speak>Dogs</speak>')).to
+    .deep.equal(['speak is outside of speak']);
+  t.pass();
+});
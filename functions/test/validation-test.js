@@ -0,0 +1,247 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file contains unit tests for authenticating and validating webhook
+// requests.
+'use strict';
+
+const {expect} = require('chai');
+const test = require('ava');
+const crypto = require('crypto');
+const validation = require('./../validation');
+const {testApp} = require('./../index');
+const {Simulator} = require('./lib/simulator');
+
+const AUDIENCE = 'facts-about-google';
+
+/** A key pair standing in for the ones Google signs JWTs with */
+const {publicKey, privateKey} = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: {type: 'spki', format: 'pem'},
+  privateKeyEncoding: {type: 'pkcs8', format: 'pem'},
+});
+
+/**
+ * A key source that only knows the test key, offline.
+ * @param {string} kid The id of the key.
+ * @return {Promise<string|undefined>} The key, if it is the test key.
+ */
+const keys = async (kid) => kid === 'test-key' ? publicKey : undefined;
+
+/**
+ * Signs a JWT the way Google does.
+ * @param {Object=} claims Claims replacing the ones of a valid JWT.
+ * @param {Object=} header Header fields replacing the ones of a valid JWT.
+ * @return {string} The JWT.
+ */
+const sign = (claims = {}, header = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (o) => Buffer.from(JSON.stringify(o)).toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  const unsigned = [
+    encode(Object.assign({alg: 'RS256', kid: 'test-key', typ: 'JWT'},
+      header)),
+    encode(Object.assign({
+      iss: 'https://accounts.google.com',
+      aud: AUDIENCE,
+      iat: now,
+      exp: now + 3600,
+    }, claims)),
+  ].join('.');
+  const signature = crypto.createSign('RSA-SHA256').update(unsigned)
+    .sign(privateKey, 'base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${unsigned}.${signature}`;
+};
+
+/**
+ * Tells why an authenticator rejects headers.
+ * @param {function(Object): Promise<void>} authenticate The authenticator.
+ * @param {Object} headers The headers of the request.
+ * @return {Promise<string|undefined>} The reason, if it rejects them.
+ */
+const rejection = (authenticate, headers) =>
+  authenticate(headers).then(() => undefined, (e) => e.message);
+
+test('parses the headers of the webhook config', function(t) {
+  expect(validation.parseHeaders()).to.deep.equal({});
+  expect(validation.parseHeaders('{"": ""}')).to.deep.equal({});
+  expect(validation.parseHeaders('{"X-Webhook-Secret": "open sesame"}'))
+    .to.deep.equal({'x-webhook-secret': 'open sesame'});
+  expect(() => validation.parseHeaders('["x-webhook-secret"]'))
+    .to.throw(/JSON object/);
+  expect(() => validation.parseHeaders('{"x-webhook-secret": 1}'))
+    .to.throw(/strings/);
+  t.pass();
+});
+
+test('validates the shape of webhook requests', function(t) {
+  const body = new Simulator(null).request_('choose_fact',
+    {category: 'history'}, {});
+  expect(validation.validate(body)).to.be.empty;
+  body.queryResult.parameters.category = 'Google\'s History';
+  expect(validation.validate(body)).to.be.empty;
+  expect(validation.validate('hello')).to.deep.equal([
+    'request should be object but got string',
+  ]);
+  expect(validation.validate({})).to.deep.equal([
+    'request.responseId is required',
+    'request.session is required',
+    'request.queryResult is required',
+  ]);
+  body.session = 'sessions/123';
+  body.queryResult.parameters.category = ['history'];
+  body.queryResult.intent = {};
+  const errors = validation.validate(body);
+  expect(errors).to.have.lengthOf(3);
+  expect(errors[0]).to.match(/^request\.session should match /);
+  expect(errors.slice(1)).to.deep.equal([
+    'request.queryResult.parameters.category should be string but got array',
+    'request.queryResult.intent.displayName is required',
+  ]);
+  t.pass();
+});
+
+test('authenticates every request unless configured', async function(t) {
+  expect(await rejection(validation.authenticator(), {})).to.be.undefined;
+  expect(await rejection(validation.authenticator(validation.options({})),
+    {})).to.be.undefined;
+  t.pass();
+});
+
+test('authenticates requests with the webhook headers', async function(t) {
+  const authenticate = validation.authenticator(validation.options({
+    WEBHOOK_HEADERS: '{"X-Webhook-Secret": "open sesame", "X-Other": "1"}',
+  }));
+  expect(await rejection(authenticate, {
+    'x-webhook-secret': 'open sesame',
+    'x-other': '1',
+  })).to.be.undefined;
+  expect(await rejection(authenticate, {'x-webhook-secret': 'open sesame'}))
+    .to.equal('Wrong or missing headers x-other');
+  expect(await rejection(authenticate, {
+    'x-webhook-secret': 'open sesame!',
+    'x-other': '1',
+  })).to.equal('Wrong or missing headers x-webhook-secret');
+  t.pass();
+});
+
+test('authenticates requests with basic auth', async function(t) {
+  const authenticate = validation.authenticator({basic: 'dialogflow:s3cret'});
+  const basic = (credentials) =>
+    `Basic ${Buffer.from(credentials).toString('base64')}`;
+  expect(await rejection(authenticate, {
+    authorization: basic('dialogflow:s3cret'),
+  })).to.be.undefined;
+  expect(await rejection(authenticate, {
+    authorization: basic('dialogflow:guess'),
+  })).to.equal('Wrong or missing basic auth');
+  t.pass();
+});
+
+test('authenticates requests with Google-signed JWTs', async function(t) {
+  const authenticate = validation.authenticator({audience: AUDIENCE, keys});
+  expect(await rejection(authenticate, {
+    'google-assistant-signature': sign(),
+  })).to.be.undefined;
+  expect(await rejection(authenticate, {authorization: `Bearer ${sign()}`}))
+    .to.be.undefined;
+  expect(await rejection(authenticate, {})).to.equal('Missing JWT');
+  const now = Math.floor(Date.now() / 1000);
+  const rejected = {
+    'The JWT is for someone-else, not facts-about-google':
+      sign({aud: 'someone-else'}),
+    'The JWT is issued by https://evil.example.com, not Google':
+      sign({iss: 'https://evil.example.com'}),
+    'The JWT expired': sign({iat: now - 7200, exp: now - 3600}),
+    'The JWT is not valid yet': sign({iat: now + 3600}),
+    'The JWT is signed with unknown key other-key':
+      sign({}, {kid: 'other-key'}),
+    'The JWT is signed with HS256, not RS256': sign({}, {alg: 'HS256'}),
+    'The JWT signature is invalid': sign({aud: AUDIENCE}).replace(/\.[^.]+$/,
+      `.${sign({aud: 'other'}).split('.')[2]}`),
+    'The JWT is malformed': 'not.a-jwt',
+  };
+  for (const reason of Object.keys(rejected)) {
+    expect(await rejection(authenticate, {
+      'google-assistant-signature': rejected[reason],
+    })).to.equal(reason);
+  }
+  t.pass();
+});
+
+test('authenticates requests any way configured', async function(t) {
+  const authenticate = validation.authenticator({
+    headers: {'x-webhook-secret': 'open sesame'},
+    audience: AUDIENCE,
+    keys,
+  });
+  expect(await rejection(authenticate, {'x-webhook-secret': 'open sesame'}))
+    .to.be.undefined;
+  expect(await rejection(authenticate, {authorization: `Bearer ${sign()}`}))
+    .to.be.undefined;
+  expect(await rejection(authenticate, {})).to.equal(
+    'Wrong or missing headers x-webhook-secret; Missing JWT');
+  t.pass();
+});
+
+test('turns away requests before they reach the app', async function(t) {
+  let reached = false;
+  const handler = validation.guard(async () => {
+    reached = true;
+    return {status: 200, headers: {}, body: {}};
+  }, {
+    authenticate: validation.authenticator({
+      headers: {'x-webhook-secret': 'open sesame'},
+    }),
+    apology: () => 'Sorry!',
+  });
+  const body = new Simulator(null).request_('choose_fact',
+    {category: 'history'}, {});
+  expect(await handler(body, {})).to.deep.include({
+    status: 401,
+    body: {error: 'Unauthorized'},
+  });
+  const invalid = await handler({}, {'x-webhook-secret': 'open sesame'});
+  expect(invalid.status).to.equal(400);
+  expect(invalid.body.details).to.include('request.responseId is required');
+  expect(reached).to.be.false;
+  expect(await handler(body, {'x-webhook-secret': 'open sesame'}))
+    .to.deep.include({status: 200});
+  expect(reached).to.be.true;
+  t.pass();
+});
+
+test('apologizes in the user\'s language when a request fails',
+  async function(t) {
+    const body = new Simulator(null, {locale: 'fr-FR'})
+      .request_('no_such_intent', {}, {});
+    const response = await testApp.handler(body, {});
+    expect(response.status).to.equal(200);
+    const {google} = response.body.payload;
+    expect(google.expectUserResponse).to.be.false;
+    expect(google.richResponse.items[0].simpleResponse.textToSpeech)
+      .to.match(/^Désolé, j'ai rencontré un problème\./);
+    expect((await testApp.handler({}, {})).status).to.equal(400);
+    t.pass();
+  });
+
+test('offers the categories for any text naming one', async function(t) {
+  const body = new Simulator(null).request_('choose_fact',
+    {category: 'Google Maps'}, {});
+  const response = await testApp.handler(body, {});
+  expect(response.status).to.equal(200);
+  expect(response.body.payload.google.richResponse.items[0].simpleResponse
+    .textToSpeech).to.match(/^Sorry, I don't have facts about that\. /);
+  t.pass();
+});
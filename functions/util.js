@@ -14,9 +14,6 @@
  * limitations under the License.
  */
 
- // Get the values of the keys of an object.
-exports.values = (o) => Object.keys(o).map((k) => o[k]);
-
 /**
  * Concatenates a list of messages into a single string.
  * @param {Array<string>} messages The messages to concat
@@ -35,15 +32,27 @@ const random = (a) => a[Math.floor(Math.random() * a.length)];
 exports.random = random;
 
 /**
- * Pop a random element from an array.
- * @param {Array<object>} array The array to pop a random element from.
- * @return {object} The random element popped from the array.
+ * Checks whether a value is a plain object, as opposed to an array or an
+ * instance of a class like Suggestions.
+ * @param {*} o The value to check.
+ * @return {boolean} True if the value is a plain object.
  */
-exports.randomPop = (array) => {
-  if (!array.length) {
-    return null;
-  }
-  const element = random(array);
-  array.splice(array.indexOf(element), 1);
-  return element;
-};
+const isPlainObject =
+  (o) => !!o && Object.getPrototypeOf(o) === Object.prototype;
+
+/**
+ * Deep merges two plain objects into a new one, the values of override taking
+ * precedence. Arrays and class instances are replaced as a whole.
+ * @param {Object} base The object providing the fallback values.
+ * @param {Object} override The object providing the preferred values.
+ * @return {Object} The merged object.
+ */
+const merge = (base, override) => Object.keys(override).reduce((o, k) => {
+  o[k] = isPlainObject(base[k]) && isPlainObject(override[k]) ?
+    merge(base[k], override[k]) :
+    override[k];
+  return o;
+}, Object.assign({}, base));
+
+exports.isPlainObject = isPlainObject;
+exports.merge = merge;
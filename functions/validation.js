@@ -0,0 +1,409 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Guards the fulfillment: requests have to come from Dialogflow, proven by
+ * a shared secret or a Google-signed JWT, and have to be shaped like webhook
+ * requests, or they are turned away with a 4xx error. Requests that fail
+ * while being fulfilled get a spoken apology instead of a 500, so users
+ * don't hear that the action isn't responding.
+ */
+const crypto = require('crypto');
+const https = require('https');
+const schema = require('./catalog/schema');
+const logger = require('./logger');
+
+/** Where Google publishes the keys it signs JWTs with, by key id */
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v1/certs';
+
+/** The issuers of Google-signed JWTs */
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+
+/** How far the clocks of Google and the fulfillment may drift, in seconds */
+const CLOCK_SKEW = 60;
+
+/** The header Actions on Google sends its JWT in */
+const SIGNATURE_HEADER = 'google-assistant-signature';
+
+/**
+ * Schema of the parts of a Dialogflow webhook request the fulfillment
+ * relies on {@link https://cloud.google.com/dialogflow/docs/reference/rpc/google.cloud.dialogflow.v2#webhookrequest}
+ */
+const webhookRequest = {
+  type: 'object',
+  properties: {
+    responseId: {type: 'string', required: true},
+    session: {
+      type: 'string',
+      required: true,
+      pattern: new RegExp('^projects/[^/]+/(locations/[^/]+/)?agent/' +
+        '(environments/[^/]+/users/[^/]+/)?sessions/[^/]+$'),
+    },
+    queryResult: {
+      type: 'object',
+      required: true,
+      properties: {
+        queryText: {type: 'string'},
+        languageCode: {type: 'string'},
+        parameters: {
+          type: 'object',
+          properties: {
+            // Values of the fact-category entity, or what the user said for
+            // parameters taking any text. Categories missing from the
+            // catalog are answered with the ones it has.
+            category: {type: 'string'},
+            answer: {type: 'string'},
+          },
+        },
+        outputContexts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: {type: 'string', required: true},
+              lifespanCount: {type: 'number', minimum: 0},
+              parameters: {type: 'object', properties: {}},
+            },
+          },
+        },
+        intent: {
+          type: 'object',
+          required: true,
+          properties: {
+            name: {type: 'string'},
+            displayName: {type: 'string', required: true},
+          },
+        },
+      },
+    },
+    originalDetectIntentRequest: {
+      type: 'object',
+      properties: {
+        source: {type: 'string'},
+        payload: {type: 'object', properties: {}},
+      },
+    },
+  },
+};
+
+/**
+ * Validates the shape of a webhook request.
+ * @param {*} body The body of the request.
+ * @return {Array<string>} The problems found, empty if it is valid.
+ */
+const validate = (body) => schema.validate(body, webhookRequest, 'request');
+
+/**
+ * Private utility function to compare a secret without telling how much of
+ * it matched by how long it took.
+ * @param {string=} actual The value received.
+ * @param {string} expected The value expected.
+ * @return {boolean} Whether they are the same.
+ */
+const same_ = (actual = '', expected) => {
+  const a = crypto.createHash('sha256').update(String(actual)).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Private utility function to decode a part of a JWT.
+ * @param {string} part The base64url encoded part.
+ * @return {Buffer} The decoded part.
+ */
+const decode_ = (part) =>
+  Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * Parses the webhook headers config, the same JSON object as the headers
+ * block of the agent's webhook config. Empty names, like the ones of agents
+ * exported without headers, are left out.
+ * @param {string=} json The headers config, defaults to none.
+ * @return {Object<string, string>} The values by lowercase header name.
+ * @throws {Error} If it isn't an object of strings.
+ */
+const parseHeaders = (json) => {
+  const headers = json ? JSON.parse(json) : {};
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+    Object.keys(headers).some((name) => typeof headers[name] !== 'string')) {
+    throw new Error('WEBHOOK_HEADERS should be a JSON object of strings');
+  }
+  return Object.keys(headers).filter((name) => name).reduce((o, name) => {
+    o[name.toLowerCase()] = headers[name];
+    return o;
+  }, {});
+};
+
+/**
+ * @typedef KeySource
+ * @type {function(string): Promise<string|undefined>}
+ * Gets the PEM public key or certificate of a key id, if it knows it.
+ */
+
+/**
+ * Creates a key source fetching the keys Google signs JWTs with, keeping
+ * them as long as Google says they are good for.
+ * @param {string=} url Where the keys are published.
+ * @return {KeySource} The key source.
+ */
+const googleKeys = (url = GOOGLE_CERTS_URL) => {
+  let cache = {keys: {}, expires: 0};
+  const fetch = () => new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      let text = '';
+      res.on('data', (chunk) => text += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          return reject(new Error(`Fetching ${url} failed: ${res.statusCode}`));
+        }
+        const [, maxAge = 0] =
+          /max-age=(\d+)/.exec(res.headers['cache-control'] || '') || [];
+        resolve({
+          keys: JSON.parse(text),
+          expires: Date.now() + Number(maxAge) * 1000,
+        });
+      });
+    }).on('error', reject);
+  });
+  return async (kid) => {
+    // Google rotates its keys, a key id it doesn't know yet is a new one
+    if (!cache.keys[kid] || Date.now() >= cache.expires) {
+      cache = await fetch();
+    }
+    return cache.keys[kid];
+  };
+};
+
+/**
+ * Verifies a JWT signed by Google with RS256 and gets its claims.
+ * @param {string} token The JWT.
+ * @param {Object} options
+ * @param {string} options.audience Who the JWT has to be for, like the id of
+ *     the Actions project or the URL of the fulfillment.
+ * @param {KeySource} options.keys Where the keys of Google come from.
+ * @param {Date=} options.now The current time, defaults to now.
+ * @return {Promise<Object>} The claims of the JWT.
+ * @throws {Error} If it isn't a valid JWT signed by Google for the audience.
+ */
+const verifyJwt = async (token, options) => {
+  const {audience, keys, now = new Date()} = options;
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('The JWT is malformed');
+  }
+  const [header, claims] = parts.slice(0, 2).map((part) => {
+    try {
+      return JSON.parse(decode_(part).toString('utf8'));
+    } catch (e) {
+      throw new Error('The JWT is malformed');
+    }
+  });
+  if (header.alg !== 'RS256') {
+    throw new Error(`The JWT is signed with ${header.alg}, not RS256`);
+  }
+  const key = await keys(header.kid);
+  if (!key) {
+    throw new Error(`The JWT is signed with unknown key ${header.kid}`);
+  }
+  const signed = crypto.createVerify('RSA-SHA256')
+    .update(`${parts[0]}.${parts[1]}`)
+    .verify(key, decode_(parts[2]));
+  if (!signed) {
+    throw new Error('The JWT signature is invalid');
+  }
+  const seconds = now.getTime() / 1000;
+  if (!GOOGLE_ISSUERS.includes(claims.iss)) {
+    throw new Error(`The JWT is issued by ${claims.iss}, not Google`);
+  }
+  if (![].concat(claims.aud).includes(audience)) {
+    throw new Error(`The JWT is for ${claims.aud}, not ${audience}`);
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW < seconds) {
+    throw new Error('The JWT expired');
+  }
+  if (claims.iat - CLOCK_SKEW > seconds || claims.nbf - CLOCK_SKEW > seconds) {
+    throw new Error('The JWT is not valid yet');
+  }
+  return claims;
+};
+
+/**
+ * @typedef AuthOptions
+ * @property {Object<string, string>=} headers Headers every request has to
+ *     carry, by lowercase name, like the headers of the agent's webhook
+ *     config.
+ * @property {string=} basic The user and password of basic auth, like
+ *     user:password.
+ * @property {string=} audience Who Google-signed JWTs have to be for.
+ *     They are taken from the Google-Assistant-Signature header or as a
+ *     bearer token.
+ * @property {KeySource=} keys Where the keys of Google come from, defaults
+ *     to fetching them from Google.
+ */
+
+/**
+ * Reads how requests authenticate from the environment: WEBHOOK_HEADERS
+ * holds the headers, as JSON, WEBHOOK_BASIC_AUTH the user and password of
+ * basic auth and WEBHOOK_JWT_AUDIENCE the audience of Google-signed JWTs.
+ * @param {Object<string, string>} env The environment variables.
+ * @return {AuthOptions} The options.
+ */
+const options = (env) => ({
+  headers: parseHeaders(env.WEBHOOK_HEADERS),
+  basic: env.WEBHOOK_BASIC_AUTH,
+  audience: env.WEBHOOK_JWT_AUDIENCE,
+});
+
+/**
+ * Creates the check authenticating requests. A request is authenticated by
+ * any of the ways configured: carrying every header, basic auth or a
+ * Google-signed JWT. Without any configured, every request is.
+ * @param {AuthOptions=} options How requests authenticate.
+ * @return {function(Object<string, string>): Promise<void>} Takes the
+ *     headers of a request, rejects if it isn't authenticated.
+ */
+const authenticator = (options = {}) => {
+  const {headers = {}, basic, audience} = options;
+  const keys = options.keys || (audience && googleKeys());
+  const checks = [];
+  if (Object.keys(headers).length) {
+    checks.push(async (received) => {
+      const missing = Object.keys(headers)
+        .filter((name) => !same_(received[name], headers[name]));
+      if (missing.length) {
+        throw new Error(`Wrong or missing headers ${missing.join(', ')}`);
+      }
+    });
+  }
+  if (basic) {
+    const expected = `Basic ${Buffer.from(basic).toString('base64')}`;
+    checks.push(async (received) => {
+      if (!same_(received.authorization, expected)) {
+        throw new Error('Wrong or missing basic auth');
+      }
+    });
+  }
+  if (audience) {
+    checks.push(async (received) => {
+      const [, bearer] = /^Bearer (.+)$/.exec(received.authorization) || [];
+      const token = received[SIGNATURE_HEADER] || bearer;
+      if (!token) {
+        throw new Error('Missing JWT');
+      }
+      await verifyJwt(token, {audience, keys});
+    });
+  }
+  return async (received) => {
+    const errors = [];
+    for (const check of checks) {
+      try {
+        return await check(received);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+    if (errors.length) {
+      throw new Error(errors.join('; '));
+    }
+  };
+};
+
+/**
+ * Gets the locale of a webhook request, to apologize in the user's language.
+ * @param {Object} body The webhook request.
+ * @return {string|undefined} The locale, like fr-FR.
+ */
+const localeOf = (body) => {
+  const {payload = {}} = body.originalDetectIntentRequest || {};
+  const {user = {}} = payload;
+  return user.locale || (body.queryResult || {}).languageCode;
+};
+
+/**
+ * Builds the webhook response ending the conversation with an apology.
+ * @param {string} apology What to say.
+ * @return {Object} The webhook response.
+ */
+const apologyResponse = (apology) => ({
+  status: 200,
+  headers: {'content-type': 'application/json;charset=utf-8'},
+  body: {
+    fulfillmentText: apology,
+    payload: {
+      google: {
+        expectUserResponse: false,
+        richResponse: {
+          items: [{simpleResponse: {textToSpeech: apology}}],
+        },
+      },
+    },
+  },
+});
+
+/**
+ * Guards the handler of a Dialogflow app. Requests that aren't
+ * authenticated get a 401, the ones that aren't shaped like webhook
+ * requests a 400, both without reaching the app. Requests the app fails to
+ * fulfill get an apology ending the conversation.
+ * @param {function(Object, Object, Object=): Promise<Object>} handler The
+ *     handler of the app, taking the body and headers of requests.
+ * @param {Object} options
+ * @param {function(Object<string, string>): Promise<void>=}
+ *     options.authenticate Rejects requests that aren't authenticated, see
+ *     authenticator.
+ * @param {function(string=): string} options.apology Gets what to say when
+ *     a request fails, in the language of a locale.
+ * @return {function(Object, Object, Object=): Promise<Object>} The guarded
+ *     handler.
+ */
+const guard = (handler, options) => {
+  const {authenticate = async () => {}, apology} = options;
+  return async (body, headers = {}, metadata) => {
+    const log = logger.log.child({
+      conversationId: logger.conversationId(body || {}),
+    });
+    try {
+      await authenticate(headers);
+    } catch (e) {
+      log.warn('Unauthenticated webhook request', {reason: e.message});
+      return {status: 401, headers: {}, body: {error: 'Unauthorized'}};
+    }
+    const errors = validate(body);
+    if (errors.length) {
+      log.warn('Invalid webhook request', {errors});
+      return {
+        status: 400,
+        headers: {},
+        body: {error: 'Invalid webhook request', details: errors},
+      };
+    }
+    try {
+      return await handler(body, headers, metadata);
+    } catch (e) {
+      log.error('Request failed', {error: e});
+      return apologyResponse(apology(localeOf(body)));
+    }
+  };
+};
+
+module.exports = {
+  authenticator,
+  googleKeys,
+  guard,
+  options,
+  parseHeaders,
+  validate,
+  verifyJwt,
+};
@@ -0,0 +1,93 @@
+// Copyright 2019, Google, Inc.
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Tells the years in fact text apart from other numbers, so they are spoken
+ * as dates and asked as years in the quiz. A number from 1000 to 2099 is a
+ * year where the text is about one: after a word like "in" or "since" in
+ * the languages of the catalog, before 年 in Japanese, or in German where it
+ * doesn't come before a noun. Counts like "1500 employees" stay numbers.
+ */
+
+/** The numbers that can be years */
+const NUMBER = '1[0-9]{3}|20[0-9]{2}';
+
+/** The words that come before a year, in every language of the catalog */
+const CUES = [
+  'in', 'since', 'until', 'before', 'after', 'year',
+  'en', 'depuis', 'dès', 'jusqu\'en', 'année',
+  'im jahre?', 'seit', 'bis',
+];
+
+/**
+ * The languages capitalizing their nouns. A number that isn't followed by a
+ * capitalized word counts nothing there, so it is a year even without a
+ * cue, like "wurde 1998 gegründet" unlike "1500 Mitarbeiter".
+ */
+const CAPITALIZED_NOUNS = ['de'];
+
+/** A capitalized word, checked after a number without a cue */
+const NOUN = /^\s+[A-ZÄÖÜ]/;
+
+/**
+ * Numbers, after one of the cues if there is one, the cue being captured
+ * first. Cues only match whole words, so "within 1500" has none.
+ */
+const YEAR = new RegExp(`(^|[^\\wÀ-ÿ])((?:${CUES.join('|')})\\s+)?` +
+  `(${NUMBER})(?![0-9])`, 'gi');
+
+/**
+ * @typedef Year
+ * @property {number} index Where the year starts in the text.
+ * @property {string} year The year, like 1998.
+ */
+
+/**
+ * Finds the years in a text.
+ * @param {string} text The text, like a fact.
+ * @param {string=} language The language of the text, like de.
+ * @return {Array<Year>} The years, in the order of the text.
+ */
+const find = (text, language) => {
+  const found = [];
+  const uncued = CAPITALIZED_NOUNS.includes(language);
+  const pattern = new RegExp(YEAR.source, YEAR.flags);
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [, before, cue = '', number] = match;
+    // The number only takes up the end of the match
+    const index = match.index + before.length + cue.length;
+    const after = text.slice(index + number.length);
+    if (cue || after.startsWith('年') || (uncued && !NOUN.test(after))) {
+      found.push({index, year: number});
+    }
+  }
+  return found;
+};
+
+/**
+ * Checks whether the number at a place in a text is a year.
+ * @param {string} text The text, like a fact.
+ * @param {number} index Where the number starts in the text.
+ * @param {string=} language The language of the text, like de.
+ * @return {boolean} Whether it is a year.
+ */
+const isYearAt = (text, index, language) =>
+  find(text, language).some((found) => found.index === index);
+
+module.exports = {
+  find,
+  isYearAt,
+};